@@ -0,0 +1,149 @@
+/**
+ * accessibility.js
+ * Text descriptions of folded states, faces and points for screen readers
+ */
+
+import { PuzzleManager } from './puzzle.js';
+
+// How descriptions name the sides of the paper
+const A11Y_SIDE_NAMES = { top: 'from above', bottom: 'underneath' };
+const A11Y_EPSILON = 1e-6;
+// Points on a crease or an edge are probed this far off it on each side
+const A11Y_PROBE = 1e-3;
+
+export class Accessibility {
+    // A description of a folded state in a few sentences: its size, the most
+    // layers stacked anywhere, how many faces are turned over, and what shows
+    // from above and underneath with the share of the folded square each
+    // covers, e.g. "The paper is 2 by 2, 3 layers at most. 6 faces, 2 of them
+    // turned over. From above: the picture on 75%, plain red on 25%.
+    // Underneath: plain colour."
+    static describeState(graph, puzzleManager = null) {
+        const bounds = PuzzleManager.getBounds(graph.vertices_coords);
+        const samples = PuzzleManager.sampleViews(graph, bounds);
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        const layers = Math.max(...samples.map(sample =>
+            polygons.filter(polygon => PuzzleManager.pointInPolygon(sample.point, polygon)).length));
+        const faces = graph.faces_vertices.length;
+        const turned = (graph.faces_flipped || []).filter(Boolean).length;
+
+        const sentences = [
+            `The paper is ${Accessibility.formatNumber(bounds.width)} by ${Accessibility.formatNumber(bounds.height)}, ` +
+                `${layers} layer${layers === 1 ? '' : 's'}${layers > 1 ? ' at most' : ''}.`,
+            `${faces} face${faces === 1 ? '' : 's'}${turned > 0 ? `, ${turned} of them turned over` : ''}.`
+        ];
+        ['top', 'bottom'].forEach(side => {
+            const shares = new Map();
+            samples.forEach(sample => {
+                const face = sample[side];
+                const content = face === -1 ? 'no paper' : Accessibility.describeSurface(graph, face, side, puzzleManager);
+                shares.set(content, (shares.get(content) || 0) + 1);
+            });
+            const name = A11Y_SIDE_NAMES[side];
+            const parts = [...shares.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([content, count]) => (shares.size === 1
+                    ? content
+                    : `${content} on ${Math.max(1, Math.round(count / samples.length * 100))}%`));
+            sentences.push(`${name[0].toUpperCase()}${name.slice(1)}: ${parts.join(', ')}.`);
+        });
+        return sentences.join(' ');
+    }
+
+    // What a face shows towards one side, in the words of the goal text:
+    // "the picture", "the back picture", "plain colour" or "plain <class>".
+    // Graphs without face classes show "the front" or "the back" of the sheet.
+    static describeSurface(graph, face, side, puzzleManager = null) {
+        if (!graph.faces_classes) {
+            const back = Boolean(graph.faces_flipped && graph.faces_flipped[face]) !== (side === 'bottom');
+            return back ? 'the back of the sheet' : 'the front of the sheet';
+        }
+        const { back, faceClass } = PuzzleManager.surface(graph, face, side);
+        if (faceClass === 'image') {
+            return back && puzzleManager && puzzleManager.getBackImageUrl() ? 'the back picture' : 'the picture';
+        }
+        return faceClass === 'color' ? 'plain colour' : `plain ${faceClass}`;
+    }
+
+    // A label for one face as seen from a side, e.g. "Face 3: the picture,
+    // turned over, layer 1 of 3 from above". layer places the face in the
+    // stack of faces it overlaps, { depth, count }: depth counts from the
+    // viewer, 1 being the nearest, and count is the faces in the stack,
+    // itself included. It is left out when null.
+    static describeFace(graph, face, side, puzzleManager = null, layer = null) {
+        const parts = [Accessibility.describeSurface(graph, face, side, puzzleManager)];
+        if (graph.faces_flipped && graph.faces_flipped[face]) parts.push('turned over');
+        if (layer !== null) parts.push(`layer ${layer.depth} of ${layer.count} ${A11Y_SIDE_NAMES[side]}`);
+        return `Face ${face + 1}: ${parts.join(', ')}`;
+    }
+
+    // A label for a point of the folded paper, such as the keyboard cursor:
+    // its coordinates, what it lies on (a corner, a vertex, a crease or the
+    // edge of the paper) and how many layers are under it, e.g.
+    // "(1, 0.5), on a valley crease, 2 layers"
+    static describePoint(graph, point) {
+        const near = (a, b) => Math.abs(a - b) < A11Y_EPSILON;
+        const layers = Accessibility.layersAt(graph, point);
+        const bounds = PuzzleManager.getBounds(graph.vertices_coords);
+        const onX = near(point[0], bounds.minX) || near(point[0], bounds.maxX);
+        const onY = near(point[1], bounds.minY) || near(point[1], bounds.maxY);
+        const onVertex = graph.vertices_coords.some(v => near(v[0], point[0]) && near(v[1], point[1]));
+        const crease = Accessibility.creaseAt(graph, point);
+
+        const parts = [Accessibility.formatPoint(point)];
+        if (onVertex && onX && onY) {
+            parts.push('on a corner of the paper');
+        } else if (onVertex) {
+            parts.push('on a vertex');
+        } else if (crease) {
+            parts.push(`on a ${crease === 'M' ? 'mountain' : 'valley'} crease`);
+        } else if ((onX || onY) && layers > 0) {
+            parts.push('on the edge of the paper');
+        }
+        parts.push(layers === 0 ? 'off the paper' : `${layers} layer${layers === 1 ? '' : 's'}`);
+        return parts.join(', ');
+    }
+
+    // Layers of paper at a point. A point on a crease or an edge counts the
+    // layers next to it, on the side where there are most; probes go off at
+    // a slant, so they never run along a diagonal crease.
+    static layersAt(graph, point) {
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        return Math.max(...[[1, 1], [1, -1], [-1, 1], [-1, -1]].map(([dx, dy]) => {
+            const probe = [point[0] + dx * A11Y_PROBE, point[1] + dy * A11Y_PROBE * 0.7];
+            return polygons.filter(polygon => PuzzleManager.pointInPolygon(probe, polygon)).length;
+        }));
+    }
+
+    // Assignment ('M' or 'V') of the crease a point lies on, or null
+    static creaseAt(graph, point) {
+        const coords = graph.vertices_coords;
+        const index = (graph.edges_vertices || []).findIndex(([u, v], i) => {
+            if (!['M', 'V'].includes((graph.edges_assignment || [])[i])) return false;
+            const a = coords[u];
+            const b = coords[v];
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            const cross = (b[0] - a[0]) * (point[1] - a[1]) - (b[1] - a[1]) * (point[0] - a[0]);
+            const along = (b[0] - a[0]) * (point[0] - a[0]) + (b[1] - a[1]) * (point[1] - a[1]);
+            return Math.abs(cross) / length < A11Y_EPSILON && along >= -A11Y_EPSILON &&
+                along <= length * length + A11Y_EPSILON;
+        });
+        return index === -1 ? null : graph.edges_assignment[index];
+    }
+
+    // A fold in words, e.g. "Valley fold along (0, 1) to (2, 1)"
+    static describeFold(operation) {
+        const { line, type } = operation;
+        const flap = line.flap ? `, moving the flap at ${Accessibility.formatPoint(line.flap)}` : '';
+        return `${type === 'mountain' ? 'Mountain' : 'Valley'} fold along ` +
+            `${Accessibility.formatPoint(line.p1)} to ${Accessibility.formatPoint(line.p2)}${flap}`;
+    }
+
+    static formatNumber(value) {
+        return String(+value.toFixed(2));
+    }
+
+    static formatPoint(point) {
+        return `(${point.map(Accessibility.formatNumber).join(', ')})`;
+    }
+}
@@ -3,40 +3,539 @@
  * Main application entry point
  */
 
+import { PuzzleSchema, PuzzleLoadError } from './schema.js';
+import { PuzzleManager } from './puzzle.js';
+import { Accessibility } from './accessibility.js';
+import { HintProvider } from './hints.js';
+import { PuzzleCatalog } from './catalog.js';
+import { ProgressStore } from './progress.js';
+import { Scoring } from './scoring.js';
+import { LocalLeaderboard, HttpLeaderboard } from './leaderboard.js';
+import { SvgRenderer } from './renderer.js';
+import { FoldingEngine } from './folding.js';
+import { PuzzleEditor } from './editor.js';
+import { FoldFile } from './foldfile.js';
+import { FoldScript } from './script.js';
+import { PrintSheet } from './print.js';
+import { FoldInput } from './input.js';
+
+// Pause between folds while a shared fold script plays, in milliseconds
+const REPLAY_PAUSE = 400;
+// How often the clock of an attempt is redrawn, in milliseconds
+const TIMER_INTERVAL = 1000;
+// localStorage key of the name scores are posted under
+const PLAYER_NAME_KEY = 'origami-puzzles.player';
+// localStorage key of the high contrast setting, 'on' or 'off'
+const HIGH_CONTRAST_KEY = 'origami-puzzles.high-contrast';
+// Keys that press a button from anywhere in the play panel, except in a text field
+const KEYBOARD_SHORTCUTS = {
+    v: 'btn-valley',
+    m: 'btn-mountain',
+    x: 'btn-execute',
+    z: 'btn-undo',
+    y: 'btn-redo',
+    f: 'btn-view-flip',
+    t: 'btn-view-rotate',
+    s: 'btn-view-split',
+    h: 'btn-hint',
+    c: 'btn-validate',
+    d: 'btn-describe',
+    l: 'btn-levels',
+    k: 'btn-contrast'
+};
+// The editor's keyboard cursor moves in steps of this fraction of a cell
+const EDITOR_CURSOR_STEPS = 4;
+
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('Origami Puzzle Solver initializing...');
 
     // Initialize components
     const puzzleManager = new PuzzleManager();
-    const foldingEngine = new FoldingEngine();
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const puzzleContainer = document.getElementById('puzzle-container');
+    const renderer = new SvgRenderer(puzzleContainer, reducedMotion ? { animationDuration: 0 } : {});
+    // Screen readers hear the paper described after every change
+    const stateDescription = document.getElementById('state-description');
+    const foldingEngine = new FoldingEngine({
+        renderer,
+        announce: text => { stateDescription.textContent = text; }
+    });
+    const catalog = new PuzzleCatalog();
+    const progressStore = new ProgressStore();
+    const editor = new PuzzleEditor();
+    // Hints are searched for in a worker, as the search can take seconds
+    const hintProvider = new HintProvider(puzzleManager, {
+        worker: new Worker(new URL('./hint-worker.js', import.meta.url), { type: 'module' })
+    });
+    // Scores go to the board server named by ?leaderboard=<url>, or stay in this browser
+    const leaderboardUrl = new URLSearchParams(location.search).get('leaderboard');
+    const leaderboard = leaderboardUrl ? new HttpLeaderboard(leaderboardUrl) : new LocalLeaderboard();
 
     // UI Elements
     const btnValley = document.getElementById('btn-valley');
     const btnMountain = document.getElementById('btn-mountain');
     const btnExecute = document.getElementById('btn-execute');
     const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
     const btnReset = document.getElementById('btn-reset');
     const btnValidate = document.getElementById('btn-validate');
+    const btnHint = document.getElementById('btn-hint');
+    const btnReplayPlay = document.getElementById('btn-replay-play');
+    const btnReplayStep = document.getElementById('btn-replay-step');
+    const btnViewFlip = document.getElementById('btn-view-flip');
+    const btnViewSplit = document.getElementById('btn-view-split');
+    const btnDaily = document.getElementById('btn-daily');
+    const btnContrast = document.getElementById('btn-contrast');
     const statusMsg = document.getElementById('status-message');
+    const foldCountEl = document.getElementById('fold-count');
+    const goalText = document.getElementById('goal-text');
+    const puzzleName = document.getElementById('puzzle-name');
+    const puzzleProgress = document.getElementById('puzzle-progress');
+    const levelSelect = document.getElementById('level-select');
+    const levelList = document.getElementById('level-list');
+    const timeline = document.getElementById('timeline');
+    const playPanel = document.getElementById('play-panel');
+    const editorPanel = document.getElementById('editor-panel');
+    const timerEl = document.getElementById('timer');
+    const playerName = document.getElementById('player-name');
+    const leaderboardBoard = document.getElementById('leaderboard-board');
+    const leaderboardList = document.getElementById('leaderboard-list');
+    const cursorDescription = document.getElementById('cursor-description');
 
     // Link them
     foldingEngine.setPuzzleManager(puzzleManager);
 
-    // Load sample puzzle
-    try {
-        const response = await fetch('puzzles/sample-easy.json');
-        const puzzleData = await response.json();
+    let selectedFoldType = 'valley'; // 'valley' or 'mountain'
+    let proposedFold = null; // { p1: [x, y], p2: [x, y] }
+    let currentPuzzle = null; // Catalog entry being played
+    let startTime = Date.now(); // Start of the current attempt, shifted back by resumed time
+    let hintsUsed = 0; // Hint tiers revealed during the current attempt
+    let undos = 0; // Folds taken back during the current attempt
+    let stoppedTime = null; // Time of the attempt once solved, when its clock stops
+    let challenge = null; // Timed challenge under way: { limit (ms), expired }
+    let replay = null; // Shared fold script being replayed: { folds, next, node, playing, busy, run }
+    let levelSelectOpener = null; // Element that had focus before the puzzle list opened
+
+    async function loadLevel(entry) {
+        try {
+            startPuzzle(entry, await catalog.fetchPuzzle(entry));
+        } catch (error) {
+            console.error('Failed to load puzzle:', error);
+            statusMsg.textContent = error instanceof PuzzleLoadError
+                ? `This puzzle file has problems. ${describeProblems(error.problems)}`
+                : 'Error loading puzzle data.';
+        }
+    }
+
+    // The first few schema problems, one sentence each
+    function describeProblems(problems, limit = 3) {
+        const listed = problems.slice(0, limit).map(problem => `${problem.path}: ${problem.message}.`);
+        if (problems.length > limit) listed.push(`And ${problems.length - limit} more.`);
+        return listed.join(' ');
+    }
+
+    // Starts playing puzzle data described by a catalog entry. Drafts from the
+    // editor and imported files (entry.draft) are played without saving any
+    // progress, starting from the given folds.
+    function startPuzzle(entry, puzzleData, folds = []) {
         puzzleManager.loadPuzzle(puzzleData);
+        stopReplay();
         foldingEngine.initialize(puzzleManager.getInitialState());
+        hintProvider.reset();
+        foldInput.setSheet(puzzleManager.getInitialState());
+        currentPuzzle = entry;
+        proposedFold = null;
+        challenge = null;
+        stoppedTime = null;
+        btnExecute.disabled = true;
+        document.getElementById('validation-result').classList.add('hidden');
 
+        // Pick up an unfinished attempt where the player left it
+        const inProgress = entry.draft
+            ? (folds.length > 0 ? { folds, elapsed: 0, hints: 0, undos: 0 } : null)
+            : progressStore.get(entry.id).inProgress;
+        if (inProgress) {
+            for (const fold of inProgress.folds) {
+                // Attempts saved before folds were checked may go on with illegal ones
+                if (!foldingEngine.checkFold(fold.line, fold.type).legal) break;
+                foldingEngine.executeFold(fold.line, fold.type, false);
+            }
+            startTime = Date.now() - inProgress.elapsed;
+            hintsUsed = inProgress.hints || 0;
+            undos = inProgress.undos || 0;
+            statusMsg.textContent = 'Resumed your last attempt. Reset to start over.';
+        } else {
+            startTime = Date.now();
+            hintsUsed = 0;
+            undos = 0;
+            statusMsg.textContent = 'Select two points to create a fold.';
+        }
+
+        puzzleName.textContent = entry.daily ? `${entry.name} (puzzle of the day)` : entry.name;
+        goalText.textContent = describeGoal();
+        hideLevelSelect(puzzleContainer);
+        showPlayPanel();
         updateUI();
-    } catch (error) {
-        console.error('Failed to load puzzle:', error);
-        document.getElementById('status-message').textContent = 'Error loading puzzle data.';
+        updateTimer();
+        renderLeaderboard();
     }
 
-    let selectedFoldType = 'valley'; // 'valley' or 'mountain'
-    let proposedFold = null; // { p1: [x, y], p2: [x, y] }
+    function showLevelSelect() {
+        const daily = catalog.getDailyEntry();
+        btnDaily.classList.toggle('hidden', !daily);
+        if (daily) btnDaily.textContent = `Puzzle of the Day: ${daily.name}`;
+
+        levelList.innerHTML = '';
+        catalog.getEntries().forEach(entry => {
+            const progress = progressStore.get(entry.id);
+            const item = document.createElement('li');
+            const card = document.createElement('button');
+            card.className = 'level-card';
+            if (entry.id === (currentPuzzle && currentPuzzle.id)) card.classList.add('current');
+            if (progress.solved) card.classList.add('solved');
+
+            if (entry.thumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.src = entry.thumbnail;
+                thumbnail.alt = '';
+                card.appendChild(thumbnail);
+            }
+            const name = document.createElement('span');
+            name.className = 'level-name';
+            name.textContent = entry.name;
+            const difficulty = document.createElement('span');
+            difficulty.className = 'level-difficulty';
+            difficulty.textContent = entry.difficulty;
+            const status = document.createElement('span');
+            status.className = 'level-status';
+            status.textContent = describeProgress(progress);
+            card.append(name, difficulty, status);
+
+            card.addEventListener('click', () => loadLevel(entry));
+            item.appendChild(card);
+            levelList.appendChild(item);
+        });
+        document.getElementById('btn-close-levels').disabled = !currentPuzzle;
+        if (levelSelect.classList.contains('hidden')) levelSelectOpener = document.activeElement;
+        levelSelect.classList.remove('hidden');
+        // The list is a modal dialog: the page behind it is out of reach until it closes
+        document.querySelector('main').inert = true;
+        (daily ? btnDaily : levelList.querySelector('button') || btnDaily).focus();
+    }
+
+    // Closes the puzzle list, giving focus back to `focus` (by default what
+    // had it before the list opened)
+    function hideLevelSelect(focus = levelSelectOpener) {
+        if (levelSelect.classList.contains('hidden')) return;
+        levelSelect.classList.add('hidden');
+        document.querySelector('main').inert = false;
+        if (focus && focus.focus) focus.focus();
+    }
+
+    // The puzzle of the day keeps its progress as the catalog puzzle it is,
+    // and posts scores to the board of the day
+    btnDaily.addEventListener('click', () => {
+        const daily = catalog.getDailyEntry();
+        if (daily) loadLevel({ ...daily, daily: PuzzleCatalog.dayKey() });
+    });
+
+    function describeProgress(progress) {
+        if (progress.solved) {
+            const hints = progress.fewestHints ? `, ${progress.fewestHints} hints` : '';
+            const score = progress.bestScore !== null ? `, score ${progress.bestScore}` : '';
+            return `Solved · best ${progress.bestFolds} folds, ${formatTime(progress.bestTime)}${hints}${score}`;
+        }
+        if (progress.inProgress) {
+            return `In progress · ${progress.inProgress.folds.length} folds`;
+        }
+        return 'Not started';
+    }
+
+    function formatTime(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Remembers the current attempt so the player can resume it later.
+    // Timed challenges start over instead.
+    function saveProgress() {
+        if (!currentPuzzle || currentPuzzle.draft || challenge) return;
+        progressStore.saveInProgress(currentPuzzle.id, foldingEngine.getFoldOperations(), Date.now() - startTime,
+            hintsUsed, undos);
+    }
+
+    // Scoring and leaderboards
+
+    // Shows how long the attempt has taken, or the time left in a timed
+    // challenge, and ends a challenge whose time has run out
+    function updateTimer() {
+        if (!currentPuzzle) return;
+        const elapsed = stoppedTime !== null ? stoppedTime : Date.now() - startTime;
+        if (!challenge) {
+            timerEl.textContent = `Time: ${formatTime(elapsed)}`;
+            return;
+        }
+        const left = Math.max(0, challenge.limit - elapsed);
+        timerEl.textContent = `Time left: ${formatTime(left)}`;
+        if (left === 0 && !challenge.expired && stoppedTime === null) {
+            challenge.expired = true;
+            updateUI();
+            statusMsg.textContent = 'Time\'s up! Start a new challenge, or Reset to keep playing without the clock.';
+        }
+    }
+    setInterval(updateTimer, TIMER_INTERVAL);
+
+    // Folds of the shortest solution of the current puzzle, as its catalog
+    // entry records them (tools/solve.js --write), or null when it does not.
+    // Solving the puzzle here would block the page for seconds.
+    function findOptimum() {
+        return Number.isInteger(currentPuzzle.min_folds) ? currentPuzzle.min_folds : null;
+    }
+
+    // Leaderboard board of the current attempt: the puzzle's, or the day's for
+    // the puzzle of the day, with a board of its own for timed challenges.
+    // Null for drafts.
+    function currentBoard() {
+        if (!currentPuzzle || currentPuzzle.draft) return null;
+        const board = currentPuzzle.daily ? `daily/${currentPuzzle.daily}` : currentPuzzle.id;
+        return challenge ? `${board}/challenge` : board;
+    }
+
+    function describeBoard(board) {
+        const name = currentPuzzle.daily ? `Puzzle of the day, ${currentPuzzle.daily}` : currentPuzzle.name;
+        return board.endsWith('/challenge') ? `${name}, timed challenge` : name;
+    }
+
+    // Lists the best scores of the current board, marking `own` (an entry just posted)
+    async function renderLeaderboard(own = null) {
+        const board = currentBoard();
+        leaderboardList.innerHTML = '';
+        if (!board) {
+            leaderboardBoard.textContent = 'Drafts have no leaderboard.';
+            return;
+        }
+        leaderboardBoard.textContent = describeBoard(board);
+        let entries;
+        try {
+            entries = await leaderboard.top(board);
+        } catch (error) {
+            console.error('Failed to load leaderboard:', error);
+            leaderboardBoard.textContent = `${describeBoard(board)}: the leaderboard cannot be reached.`;
+            return;
+        }
+        if (board !== currentBoard()) return; // The player moved on while it loaded
+        if (entries.length === 0) leaderboardBoard.textContent = `${describeBoard(board)}: no scores yet.`;
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.player}: ${entry.score} (${entry.folds} folds, ${formatTime(entry.time)})`;
+            if (own && entry.player === own.player && entry.date === own.date) item.classList.add('own');
+            leaderboardList.appendChild(item);
+        });
+    }
+
+    playerName.value = localStorage.getItem(PLAYER_NAME_KEY) || '';
+    playerName.addEventListener('change', () => {
+        localStorage.setItem(PLAYER_NAME_KEY, playerName.value.trim());
+    });
+
+    // The points lost and won in a score, e.g. " (-100 extra folds, -40 time)"
+    function describeBreakdown(breakdown) {
+        const labels = { folds: 'extra folds', time: 'time', undos: 'undos', hints: 'hints', bonus: 'time left' };
+        const parts = Object.entries(breakdown)
+            .filter(([, points]) => points !== 0)
+            .map(([key, points]) => `${points > 0 ? '+' : ''}${points} ${labels[key]}`);
+        return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+    }
+
+    // Scores a solve of a catalog puzzle, records it and posts it to the leaderboard
+    async function finishSolve(resultEl) {
+        const entry = currentPuzzle;
+        const board = currentBoard();
+        const attempt = {
+            folds: foldingEngine.getFoldCount(),
+            time: Date.now() - startTime,
+            undos,
+            hints: hintsUsed,
+            timeLimit: challenge ? challenge.limit : null
+        };
+        stoppedTime = attempt.time;
+        updateTimer();
+
+        const { score, breakdown } = Scoring.score({ ...attempt, optimum: findOptimum() });
+        progressStore.recordSolve(entry.id, attempt.folds, attempt.time, attempt.hints, score);
+        updateUI();
+        resultEl.textContent = `Success! Puzzle Solved! Score: ${score}${describeBreakdown(breakdown)}`;
+
+        const player = playerName.value.trim();
+        if (!player) {
+            statusMsg.textContent = 'Enter your name under Leaderboard to post your scores.';
+            return;
+        }
+        try {
+            const { rank, entry: posted } = await leaderboard.submit({ board, player, score, ...attempt });
+            statusMsg.textContent = rank !== null
+                ? `Score posted: #${rank} on ${describeBoard(board)}.`
+                : 'Score posted, but it did not make the leaderboard.';
+            if (board === currentBoard()) renderLeaderboard(posted);
+        } catch (error) {
+            console.error('Failed to post score:', error);
+            statusMsg.textContent = `Your score could not be posted. ${error.message}.`;
+        }
+    }
+
+    document.getElementById('btn-challenge').addEventListener('click', () => {
+        if (!currentPuzzle || currentPuzzle.draft) {
+            statusMsg.textContent = 'Timed challenges are only for puzzles from the catalog.';
+            return;
+        }
+        const limit = Scoring.challengeLimit(findOptimum());
+        stopReplay();
+        foldingEngine.reset();
+        challenge = { limit, expired: false };
+        startTime = Date.now();
+        stoppedTime = null;
+        hintsUsed = 0;
+        undos = 0;
+        document.getElementById('validation-result').classList.add('hidden');
+        updateUI();
+        updateTimer();
+        renderLeaderboard();
+        statusMsg.textContent = `Timed challenge: solve the puzzle within ${formatTime(limit)}. ` +
+            'Time left earns bonus points.';
+    });
+
+    // Shared links
+
+    // Opens the puzzle named in the URL hash and gets its fold script ready to
+    // replay. The replay is not saved as progress. Returns false when the hash
+    // names no puzzle.
+    async function openSharedLink() {
+        let link;
+        try {
+            link = FoldScript.fromHash(location.hash);
+        } catch (error) {
+            statusMsg.textContent = `The shared link cannot be read. ${error.message}.`;
+            return false;
+        }
+        if (!link) return false;
+
+        const entry = catalog.getEntry(link.puzzleId);
+        if (!entry) {
+            statusMsg.textContent = `The shared link names an unknown puzzle, "${link.puzzleId}".`;
+            return false;
+        }
+        try {
+            startPuzzle({ ...entry, draft: true }, await catalog.fetchPuzzle(entry));
+        } catch (error) {
+            console.error('Failed to load shared puzzle:', error);
+            statusMsg.textContent = 'Error loading puzzle data.';
+            return false;
+        }
+
+        if (link.folds.length > 0) {
+            replay = { folds: link.folds, next: 0, node: foldingEngine.getCurrentNode(), playing: false, busy: false, run: null };
+            renderReplay();
+            statusMsg.textContent = `Shared solve with ${link.folds.length} folds. Press Play or Step to replay it.`;
+        }
+        return true;
+    }
+
+    function stopReplay() {
+        replay = null;
+        renderReplay();
+    }
+
+    // Plays the next fold of the replay and resolves once its animation is over
+    async function stepReplay() {
+        const current = replay;
+        if (!current || current.busy || current.next >= current.folds.length) return;
+
+        const { line, type } = current.folds[current.next];
+        const check = foldingEngine.checkFold(line, type);
+        if (!check.legal) {
+            stopReplay();
+            statusMsg.textContent = `Replay stopped: fold ${current.next + 1} is illegal, ${check.message}.`;
+            return;
+        }
+        current.next++;
+        current.busy = true;
+        const animation = foldingEngine.executeFold(line, type);
+        current.node = foldingEngine.getCurrentNode();
+        proposedFold = null;
+        btnExecute.disabled = true;
+        updateUI();
+        statusMsg.textContent = `Replay: fold ${current.next} of ${current.folds.length}, ${type}.`;
+
+        await animation;
+        current.busy = false;
+        if (current.next === current.folds.length) {
+            current.playing = false;
+            statusMsg.textContent = 'Replay finished. Check the solution, or keep folding from here.';
+        }
+        renderReplay();
+    }
+
+    async function playReplay() {
+        const current = replay;
+        const run = {};
+        current.playing = true;
+        current.run = run;
+        renderReplay();
+        while (replay === current && current.run === run && current.playing && current.next < current.folds.length) {
+            await stepReplay();
+            if (current.playing && current.next < current.folds.length) {
+                await new Promise(resolve => setTimeout(resolve, REPLAY_PAUSE));
+            }
+        }
+    }
+
+    // Shows the replay controls while a replay is under way. Folding, undoing
+    // or jumping in the timeline by hand ends the replay.
+    function renderReplay() {
+        if (replay && !replay.busy && foldingEngine.getCurrentNode() !== replay.node) replay = null;
+        document.getElementById('replay-card').classList.toggle('hidden', !replay);
+        if (!replay) return;
+
+        const finished = replay.next >= replay.folds.length;
+        document.getElementById('replay-progress').textContent = `Fold ${replay.next} of ${replay.folds.length}`;
+        btnReplayPlay.textContent = replay.playing ? 'Pause' : 'Play';
+        btnReplayPlay.disabled = finished;
+        btnReplayStep.disabled = finished || replay.playing || replay.busy;
+    }
+
+    btnReplayPlay.addEventListener('click', () => {
+        if (!replay) return;
+        if (replay.playing) {
+            replay.playing = false;
+            renderReplay();
+        } else {
+            playReplay();
+        }
+    });
+    btnReplayStep.addEventListener('click', stepReplay);
+    document.getElementById('btn-replay-stop').addEventListener('click', () => {
+        stopReplay();
+        statusMsg.textContent = 'Replay stopped. Keep folding from here.';
+    });
+
+    window.addEventListener('hashchange', () => {
+        if (location.hash) openSharedLink();
+    });
+
+    // Puts the puzzle and its folds in the URL hash and copies the link
+    document.getElementById('btn-share').addEventListener('click', async () => {
+        if (!currentPuzzle || !currentPuzzle.id) {
+            statusMsg.textContent = 'Only puzzles from the catalog can be shared as a link.';
+            return;
+        }
+        history.replaceState(null, '', FoldScript.toHash(currentPuzzle.id, foldingEngine.getFoldOperations()));
+        try {
+            await navigator.clipboard.writeText(location.href);
+            statusMsg.textContent = 'Link to this puzzle and its folds copied.';
+        } catch (error) {
+            statusMsg.textContent = 'Copy the link from the address bar to share this puzzle and its folds.';
+        }
+    });
 
     // Event Listeners
 
@@ -44,105 +543,735 @@ document.addEventListener('DOMContentLoaded', async () => {
         selectedFoldType = 'valley';
         btnValley.classList.add('active');
         btnMountain.classList.remove('active');
+        btnValley.setAttribute('aria-pressed', 'true');
+        btnMountain.setAttribute('aria-pressed', 'false');
         statusMsg.textContent = 'Selected: Valley Fold. Click two points to define fold line.';
+        if (proposedFold) foldingEngine.previewFold(proposedFold, selectedFoldType);
     });
 
     btnMountain.addEventListener('click', () => {
         selectedFoldType = 'mountain';
         btnMountain.classList.add('active');
         btnValley.classList.remove('active');
+        btnMountain.setAttribute('aria-pressed', 'true');
+        btnValley.setAttribute('aria-pressed', 'false');
         statusMsg.textContent = 'Selected: Mountain Fold. Click two points to define fold line.';
+        if (proposedFold) foldingEngine.previewFold(proposedFold, selectedFoldType);
     });
 
     btnExecute.addEventListener('click', () => {
+        if (challenge && challenge.expired) {
+            statusMsg.textContent = 'The challenge is over. Start a new one, or Reset to keep playing without the clock.';
+            return;
+        }
+        const maxFolds = puzzleManager.getGoal().max_folds;
+        if (maxFolds !== null && foldingEngine.getFoldCount() >= maxFolds) {
+            statusMsg.textContent = `This puzzle allows at most ${maxFolds} folds. Undo a fold first.`;
+            return;
+        }
         if (proposedFold) {
+            // Keep the line so the player can see what was wrong with it
+            const check = foldingEngine.checkFold(proposedFold, selectedFoldType);
+            if (!check.legal) {
+                statusMsg.textContent = `Illegal fold: ${check.message}.`;
+                return;
+            }
             foldingEngine.executeFold(proposedFold, selectedFoldType);
             proposedFold = null;
             btnExecute.disabled = true;
+            saveProgress();
             updateUI();
             statusMsg.textContent = 'Fold executed.';
         }
     });
 
     btnUndo.addEventListener('click', () => {
+        if (foldingEngine.canUndo()) undos++;
         foldingEngine.undo();
+        saveProgress();
         updateUI();
         statusMsg.textContent = 'Last fold undone.';
     });
 
+    btnRedo.addEventListener('click', () => {
+        foldingEngine.redo();
+        saveProgress();
+        updateUI();
+        statusMsg.textContent = 'Fold redone.';
+    });
+
     btnReset.addEventListener('click', () => {
+        const ended = Boolean(challenge);
         foldingEngine.reset();
+        challenge = null;
+        startTime = Date.now();
+        stoppedTime = null;
+        hintsUsed = 0;
+        undos = 0;
+        saveProgress();
         updateUI();
-        statusMsg.textContent = 'Puzzle reset.';
+        updateTimer();
+        if (ended) renderLeaderboard();
+        statusMsg.textContent = ended ? 'Puzzle reset. The timed challenge is over.' : 'Puzzle reset.';
+    });
+
+    // View controls change how the paper is drawn, not the fold model, so a
+    // fold line being drawn survives them
+    function changeView(change) {
+        if (!currentPuzzle) return null;
+        foldingEngine.setView(change);
+        const view = foldingEngine.getView();
+        btnViewFlip.classList.toggle('active', view.side === 'bottom');
+        btnViewSplit.classList.toggle('active', view.split);
+        btnViewFlip.setAttribute('aria-pressed', String(view.side === 'bottom'));
+        btnViewSplit.setAttribute('aria-pressed', String(view.split));
+        if (proposedFold) {
+            foldingEngine.previewFold(proposedFold, selectedFoldType);
+        } else if (foldInput.start) {
+            foldingEngine.previewPoint(foldInput.start);
+        }
+        foldInput.drawCursor();
+        return view;
+    }
+
+    btnViewFlip.addEventListener('click', () => {
+        const view = changeView({ side: foldingEngine.getView().side === 'top' ? 'bottom' : 'top' });
+        if (!view) return;
+        statusMsg.textContent = view.side === 'bottom'
+            ? 'Viewing the paper from below. Valley and mountain folds still refer to the top side.'
+            : 'Viewing the paper from above.';
+    });
+
+    document.getElementById('btn-view-rotate').addEventListener('click', () => {
+        const view = changeView({ rotation: foldingEngine.getView().rotation + 1 });
+        if (view) statusMsg.textContent = `View turned ${view.rotation * 90}° clockwise.`;
+    });
+
+    btnViewSplit.addEventListener('click', () => {
+        const view = changeView({ split: !foldingEngine.getView().split });
+        if (!view) return;
+        statusMsg.textContent = view.split
+            ? 'Showing the top and bottom of the paper side by side.'
+            : 'Showing one side of the paper.';
+    });
+
+    document.getElementById('btn-levels').addEventListener('click', showLevelSelect);
+    document.getElementById('btn-close-levels').addEventListener('click', () => hideLevelSelect());
+
+    // Accessibility
+
+    // Reads out the paper as it is now, as the state description after each change does
+    document.getElementById('btn-describe').addEventListener('click', () => {
+        if (currentPuzzle) statusMsg.textContent = foldingEngine.describeState();
+    });
+
+    function setHighContrast(on) {
+        document.body.classList.toggle('high-contrast', on);
+        btnContrast.setAttribute('aria-pressed', String(on));
+    }
+
+    // High contrast follows the system setting until the player picks one
+    const savedContrast = localStorage.getItem(HIGH_CONTRAST_KEY);
+    setHighContrast(savedContrast !== null
+        ? savedContrast === 'on'
+        : window.matchMedia('(prefers-contrast: more)').matches);
+    btnContrast.addEventListener('click', () => {
+        const on = !document.body.classList.contains('high-contrast');
+        setHighContrast(on);
+        localStorage.setItem(HIGH_CONTRAST_KEY, on ? 'on' : 'off');
+        statusMsg.textContent = on ? 'High contrast on.' : 'High contrast off.';
+    });
+
+    // Keyboard shortcuts (see KEYBOARD_SHORTCUTS), plus Ctrl+Z and Ctrl+Y (or
+    // Ctrl+Shift+Z) for undo and redo, P to go to the paper and Escape to
+    // close the puzzle list. Keys the paper's fold input or a text field
+    // handles are left to them.
+    document.addEventListener('keydown', e => {
+        if (!levelSelect.classList.contains('hidden')) {
+            if (e.key === 'Escape' && currentPuzzle) {
+                e.preventDefault();
+                hideLevelSelect();
+            }
+            return;
+        }
+        if (e.defaultPrevented || e.altKey || playPanel.classList.contains('hidden') ||
+            e.target.closest('input, select, textarea')) return;
+
+        const key = e.key.toLowerCase();
+        let id;
+        if (e.ctrlKey || e.metaKey) {
+            if (key === 'z') id = e.shiftKey ? 'btn-redo' : 'btn-undo';
+            else if (key === 'y') id = 'btn-redo';
+        } else if (key === 'p') {
+            e.preventDefault();
+            puzzleContainer.focus();
+            return;
+        } else {
+            id = KEYBOARD_SHORTCUTS[key];
+        }
+        if (!id) return;
+
+        e.preventDefault();
+        const button = document.getElementById(id);
+        if (button.disabled) {
+            statusMsg.textContent = `${button.textContent} is not available right now.`;
+        } else {
+            button.click();
+        }
     });
 
     btnValidate.addEventListener('click', () => {
-        const isValid = puzzleManager.validateState(foldingEngine.getCurrentState());
+        const result = puzzleManager.validateState(foldingEngine.getCurrentState(), foldingEngine.getFoldCount());
         const resultEl = document.getElementById('validation-result');
         resultEl.classList.remove('hidden', 'success', 'error');
 
-        if (isValid) {
-            resultEl.textContent = 'Success! Puzzle Solved!';
+        if (challenge && challenge.expired) {
+            resultEl.textContent = 'Time ran out before the puzzle was solved. Start a new challenge to try again.';
+            resultEl.classList.add('error');
+        } else if (result.solved) {
             resultEl.classList.add('success');
+            // An attempt is scored once; its clock stopped when it was
+            if (stoppedTime !== null) {
+                resultEl.textContent = 'Success! Puzzle Solved! This attempt is scored already, Reset to play again.';
+            } else {
+                resultEl.textContent = 'Success! Puzzle Solved!';
+                if (currentPuzzle && !currentPuzzle.draft) finishSolve(resultEl);
+            }
         } else {
-            resultEl.textContent = 'Not quite right yet. Keep trying!';
+            resultEl.textContent = describeValidation(result);
             resultEl.classList.add('error');
+            foldingEngine.highlightRegions(result.regions);
         }
     });
 
-    // Interaction handling for the SVG
-    // Note: Rabbit Ear handles the SVG rendering, we need to attach listeners to it
-    // This is a simplified placeholder for the interaction logic
-    function setupInteraction() {
-        const svg = document.querySelector('.puzzle-container svg');
-        if (!svg) return;
+    btnHint.addEventListener('click', async () => {
+        if (!currentPuzzle) return;
+        btnHint.disabled = true;
+        statusMsg.textContent = 'Thinking...';
+
+        const node = foldingEngine.getCurrentNode();
+        let hint;
+        try {
+            hint = await hintProvider.next(foldingEngine.getCurrentState(), foldingEngine.getFoldCount());
+        } catch (error) {
+            console.error('Failed to find a hint:', error);
+            statusMsg.textContent = 'Could not look for a hint.';
+            return;
+        } finally {
+            btnHint.disabled = false;
+        }
+        // The paper was folded or another puzzle started while the hint was searched for
+        if (!hint || node !== foldingEngine.getCurrentNode()) {
+            statusMsg.textContent = 'The paper changed while a hint was searched for. Ask again for a hint from here.';
+            return;
+        }
+
+        if (!hint.fold) {
+            statusMsg.textContent = hint.result.solvable
+                ? 'The puzzle is already solved. Click Check Solution!'
+                : hint.result.reason === 'exhausted'
+                    ? 'No solution from here. Try undoing some folds.'
+                    : 'Could not find a hint quickly from here. Try undoing some folds.';
+            return;
+        }
+
+        if (hint.revealed) {
+            hintsUsed++;
+            saveProgress();
+        }
+        foldingEngine.showHint(hint.fold, hint.tier);
+
+        const remaining = `${hint.distance} fold${hint.distance === 1 ? '' : 's'} to go`;
+        const detail = [
+            'fold the highlighted paper next.',
+            'fold the highlighted paper along the dashed line.',
+            `make a ${hint.fold.type} fold along the dashed line.`
+        ][hint.tier - 1];
+        statusMsg.textContent = `Hint (${remaining}): ${detail} Hints used: ${hintsUsed}.`;
+    });
+
+    const formatSize = (w, h) => `${+w.toFixed(2)}x${+h.toFixed(2)}`;
+    const formatPoint = p => `(${p.map(v => +v.toFixed(2)).join(', ')})`;
+
+    // Whether the goal names a target per side (goal.sides) rather than a picture side
+    const hasSideTargets = () => Boolean(puzzleManager.puzzleData.goal && puzzleManager.puzzleData.goal.sides);
 
-        let firstPoint = null;
+    // A goal.sides target in words
+    function describeTarget(target) {
+        if (target === 'image') return 'the picture';
+        if (target === 'back_image') return 'the back picture';
+        if (target === 'color') return 'plain colour';
+        if (typeof target === 'string') return `plain ${target}`;
+        return `a ${target.pattern.length}-row pattern of ${[...new Set(target.pattern.flat())].join(' and ')}`;
+    }
+
+    // Header text built from the puzzle's goal
+    function describeGoal() {
+        const goal = puzzleManager.getGoal();
+        const sheet = PuzzleManager.getBounds(puzzleManager.getInitialState().vertices_coords);
+        const limit = goal.max_folds !== null ? ` in at most ${goal.max_folds} folds` : '';
+        let wanted;
+        if (hasSideTargets()) {
+            wanted = ['top', 'bottom']
+                .filter(side => goal.sides[side] !== null)
+                .map(side => `${describeTarget(goal.sides[side])} ${side === 'top' ? 'on top' : 'underneath'}`)
+                .join(' and ');
+        } else {
+            wanted = `the picture ${goal.picture_side === 'bottom' ? 'underneath' : 'on top'}`;
+        }
+        return `Fold the ${formatSize(sheet.width, sheet.height)} sheet into a ` +
+            `${formatSize(goal.width, goal.height)} square${wanted ? ` with ${wanted}` : ''}${limit}!`;
+    }
+
+    // Turns a failed validation result into a hint for the player
+    function describeValidation(result) {
+        if (!result.shape.ok) {
+            return `The folded paper is ${formatSize(result.shape.width, result.shape.height)}, ` +
+                `but the goal is ${formatSize(result.shape.expected.width, result.shape.expected.height)}.`;
+        }
+
+        const reasons = new Set(result.regions.map(region => region.reason));
+        const problems = [];
+        if (reasons.has('no-paper')) problems.push('there are gaps in the square');
+        if (hasSideTargets()) {
+            const sideProblems = {
+                'not-image': 'is missing picture pieces',
+                misplaced: 'has picture pieces in the wrong place',
+                'not-color': 'shows the wrong colour',
+                pattern: 'does not match the pattern'
+            };
+            ['top', 'bottom'].forEach(side => {
+                Object.entries(sideProblems).forEach(([reason, text]) => {
+                    if (result.regions.some(region => region.side === side && region.reason === reason)) {
+                        problems.push(`the ${side === 'top' ? 'top' : 'underside'} ${text}`);
+                    }
+                });
+            });
+        } else {
+            if (reasons.has('not-image')) problems.push('the picture side shows some colour');
+            if (reasons.has('misplaced')) problems.push('some picture pieces are in the wrong place');
+            if (reasons.has('not-color')) problems.push('the colour side shows some picture');
+        }
+        if (result.folds && !result.folds.ok) {
+            problems.push(`it took ${result.folds.count} folds, the limit is ${result.folds.max}`);
+        }
+
+        const highlight = result.regions.length > 0 ? ' The highlighted areas need work.' : '';
+        return `Not quite right yet: ${problems.join(', ')}.${highlight}`;
+    }
+
+    // Puzzle editor
 
+    let editorTool = 'image'; // 'image' or 'color' to paint faces, 'cut' to divide cells
+    // Keyboard cursor on the draft once the keyboard is used, as [column, row]
+    // in steps of EDITOR_CURSOR_STEPS per cell
+    let editorCursor = null;
+
+    function openEditor() {
+        foldingEngine.stopAnimation();
+        playPanel.classList.add('hidden');
+        editorPanel.classList.remove('hidden');
+        goalText.textContent = 'Design a puzzle: paint and cut the cells, then test play it.';
+        fillEditorFields();
+        renderEditor();
+    }
+
+    function showPlayPanel() {
+        editorPanel.classList.add('hidden');
+        playPanel.classList.remove('hidden');
+    }
+
+    function closeEditor() {
+        showPlayPanel();
+        if (!currentPuzzle) {
+            showLevelSelect();
+            return;
+        }
+        foldingEngine.render();
+        goalText.textContent = describeGoal();
+        updateUI();
+    }
+
+    function renderEditor() {
+        const svg = editor.render(puzzleContainer);
         svg.addEventListener('click', (e) => {
-            // Convert screen coords to SVG coords
-            const pt = svg.createSVGPoint();
-            pt.x = e.clientX;
-            pt.y = e.clientY;
-            const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
-
-            // Snap to grid (assuming 0-1 coordinate space for 8x8 grid)
-            // This logic will need refinement based on exact Rabbit Ear coordinate system
-            const x = Math.round(svgP.x * 8) / 8;
-            const y = Math.round(svgP.y * 8) / 8;
-
-            if (!firstPoint) {
-                firstPoint = { x, y };
-                statusMsg.textContent = `Point 1 selected at (${x}, ${y}). Select second point.`;
-
-                // Visual feedback for first point would go here
-            } else {
-                const secondPoint = { x, y };
+            if (applyEditorTool(toSvgPoint(svg, e))) renderEditor();
+        });
 
-                if (firstPoint.x === secondPoint.x && firstPoint.y === secondPoint.y) {
-                    statusMsg.textContent = 'Points must be different. Select second point.';
-                    return;
-                }
+        if (!editorCursor) return;
+        // The grid may have shrunk under the cursor
+        editorCursor = [
+            Math.min(editorCursor[0], editor.columns * EDITOR_CURSOR_STEPS - 1),
+            Math.min(editorCursor[1], editor.rows * EDITOR_CURSOR_STEPS - 1)
+        ];
+        const [x, y] = editorCursorPoint();
+        const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        marker.setAttribute('cx', x);
+        marker.setAttribute('cy', y);
+        marker.setAttribute('r', 0.06);
+        marker.setAttribute('aria-hidden', 'true');
+        marker.classList.add('input-cursor');
+        svg.appendChild(marker);
+    }
 
-                proposedFold = {
-                    p1: [firstPoint.x, firstPoint.y],
-                    p2: [secondPoint.x, secondPoint.y]
-                };
+    // Paints or cuts the draft at a point with the current tool. Returns
+    // whether the draft changed.
+    function applyEditorTool(point) {
+        return editorTool === 'cut' ? editor.cycleCut(point) : editor.paint(point, editorTool);
+    }
+
+    // The point of the draft under the keyboard cursor, nudged off the
+    // diagonals so it always lies in one part of a cut cell
+    function editorCursorPoint() {
+        const [offsetX, offsetY] = PuzzleManager.sampleOffset;
+        return [(editorCursor[0] + offsetX) / EDITOR_CURSOR_STEPS, (editorCursor[1] + offsetY) / EDITOR_CURSOR_STEPS];
+    }
+
+    // The part of the draft at a point in words, e.g. "Column 2, row 1,
+    // diagonal cut, part 2 of 2: picture"
+    function describeEditorPart(point) {
+        const hit = editor.partAt(point);
+        if (!hit) return 'Off the sheet';
+        const { cell, part } = hit;
+        const cut = cell.cut === 'none' ? '' : `, ${cell.cut} cut, part ${part + 1} of ${cell.classes.length}`;
+        return `Column ${Math.floor(point[0]) + 1}, row ${Math.floor(point[1]) + 1}${cut}: ` +
+            `${cell.classes[part] === 'image' ? 'picture' : 'plain colour'}`;
+    }
+
+    // At the keyboard the editor has a cursor of its own: arrows move it a
+    // quarter cell (Shift: a whole cell), Space or Enter paints or cuts there
+    puzzleContainer.addEventListener('keydown', e => {
+        if (editorPanel.classList.contains('hidden')) return;
+
+        const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (steps[e.key]) {
+            e.preventDefault();
+            const stride = e.shiftKey ? EDITOR_CURSOR_STEPS : 1;
+            const [column, row] = editorCursor || [0, 0];
+            editorCursor = [
+                Math.max(0, Math.min(editor.columns * EDITOR_CURSOR_STEPS - 1, column + steps[e.key][0] * stride)),
+                Math.max(0, Math.min(editor.rows * EDITOR_CURSOR_STEPS - 1, row + steps[e.key][1] * stride))
+            ];
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            editorCursor = editorCursor || [0, 0];
+            applyEditorTool(editorCursorPoint());
+        } else {
+            return;
+        }
+        renderEditor();
+        cursorDescription.textContent = describeEditorPart(editorCursorPoint());
+    });
+
+    const editorField = id => document.getElementById(`editor-${id}`);
+    const numberOr = (value, fallback) => (value === '' || isNaN(value) ? fallback : Number(value));
+
+    function fillEditorFields() {
+        editorField('name').value = editor.name;
+        editorField('difficulty').value = editor.difficulty;
+        editorField('columns').value = editor.columns;
+        editorField('rows').value = editor.rows;
+        editorField('image-url').value = editor.imageUrl;
+        ['x', 'y', 'width', 'height'].forEach((key, k) => {
+            editorField(`source-${key}`).value = editor.imageSource[k];
+        });
+        editorField('goal-width').value = editor.goal.width;
+        editorField('goal-height').value = editor.goal.height;
+        editorField('goal-orientation').value = editor.goal.orientation;
+        editorField('goal-side').value = editor.goal.picture_side;
+        editorField('goal-max-folds').value = editor.goal.max_folds === null ? '' : editor.goal.max_folds;
+    }
+
+    // Reads every field back into the draft
+    function readEditorFields() {
+        editor.name = editorField('name').value.trim() || 'New Puzzle';
+        editor.difficulty = editorField('difficulty').value;
+        editor.resize(Number(editorField('columns').value), Number(editorField('rows').value));
+        editor.imageUrl = editorField('image-url').value.trim();
+        const source = ['x', 'y', 'width', 'height'].map((key, k) =>
+            numberOr(editorField(`source-${key}`).value, editor.imageSource[k]));
+        if (source[2] > 0 && source[3] > 0) editor.imageSource = source;
+        editor.goal = {
+            width: numberOr(editorField('goal-width').value, editor.goal.width),
+            height: numberOr(editorField('goal-height').value, editor.goal.height),
+            orientation: editorField('goal-orientation').value,
+            picture_side: editorField('goal-side').value,
+            max_folds: numberOr(editorField('goal-max-folds').value, null)
+        };
+        fillEditorFields();
+        renderEditor();
+    }
+
+    editorPanel.querySelectorAll('input, select').forEach(field => {
+        field.addEventListener('change', readEditorFields);
+    });
+
+    editorPanel.querySelectorAll('[data-tool]').forEach(button => {
+        button.addEventListener('click', () => {
+            editorTool = button.dataset.tool;
+            editorPanel.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b === button));
+            document.getElementById('editor-help').textContent = editorTool === 'cut'
+                ? 'Click a cell, or press Space on it, to cycle its cut: none, diagonal, anti-diagonal, cross.'
+                : 'Click faces, or move to them with the arrow keys and press Space, to paint them.';
+        });
+    });
+
+    document.getElementById('btn-open-editor').addEventListener('click', openEditor);
+    document.getElementById('btn-close-editor').addEventListener('click', closeEditor);
+
+    document.getElementById('btn-test-play').addEventListener('click', () => {
+        const problems = PuzzleSchema.validate(editor.toPuzzle());
+        if (problems.length > 0) {
+            document.getElementById('editor-help').textContent = `The draft has problems. ${describeProblems(problems)}`;
+            return;
+        }
+        startPuzzle({ id: null, name: editor.name, difficulty: 'Test play', draft: true }, editor.toPuzzle());
+        statusMsg.textContent = 'Test playing your draft. Open the Puzzle Editor to keep editing.';
+    });
+
+    document.getElementById('btn-export').addEventListener('click', () => {
+        const problems = PuzzleSchema.validate(editor.toPuzzle());
+        if (problems.length > 0) {
+            document.getElementById('editor-help').textContent = `The draft has problems. ${describeProblems(problems)}`;
+            return;
+        }
+        download(JSON.stringify(editor.toPuzzle(), null, 4), editor.fileName(), 'application/json');
+    });
+
+    // FOLD files
+
+    function download(text, fileName, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    document.getElementById('btn-export-fold').addEventListener('click', () => {
+        if (!currentPuzzle) return;
+        const fold = FoldFile.fromState(foldingEngine.getCurrentState(), puzzleManager.puzzleData,
+            foldingEngine.getFoldOperations());
+        download(JSON.stringify(fold, null, 4), FoldFile.fileName(currentPuzzle.name), 'application/json');
+        statusMsg.textContent = 'Exported the crease pattern and folded form as a FOLD file.';
+    });
+
+    const foldFileInput = document.getElementById('fold-file-input');
+    document.getElementById('btn-import-fold').addEventListener('click', () => foldFileInput.click());
+    foldFileInput.addEventListener('change', async () => {
+        const [file] = foldFileInput.files;
+        foldFileInput.value = '';
+        if (!file) return;
+
+        try {
+            const { puzzle, folds } = FoldFile.toPuzzle(JSON.parse(await file.text()));
+            startPuzzle({ id: null, name: puzzle.name, difficulty: 'Imported', draft: true }, puzzle, folds);
+            statusMsg.textContent = folds.length > 0
+                ? `Imported ${file.name} with its ${folds.length} folds.`
+                : `Imported ${file.name}. Fold it along its creases!`;
+        } catch (error) {
+            console.error('Failed to import FOLD file:', error);
+            statusMsg.textContent = error instanceof PuzzleLoadError
+                ? `${file.name} cannot be played. ${describeProblems(error.problems)}`
+                : `${file.name} could not be imported: ${error.message}`;
+        }
+    });
 
-                statusMsg.textContent = `Fold line defined. Click Execute to perform ${selectedFoldType} fold.`;
-                btnExecute.disabled = false;
+    // Printing
 
-                // Visual feedback for fold line would go here
-                foldingEngine.previewFold(proposedFold);
+    // Opens the sheet to print and fold at true scale in a new window
+    const btnPrint = document.getElementById('btn-print');
+    btnPrint.addEventListener('click', async () => {
+        if (!currentPuzzle) return;
+        const paper = document.getElementById('print-paper').value;
+        const withCreases = document.getElementById('print-creases').checked;
+        // Open the window right away, while the click still allows pop-ups
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            statusMsg.textContent = 'Allow pop-ups for this page to open the print sheet.';
+            return;
+        }
+        statusMsg.textContent = withCreases ? 'Working out the solution...' : 'Opening the print sheet...';
 
-                firstPoint = null;
+        let folds = [];
+        if (withCreases) {
+            // The search runs in the hint worker; the sheet waits for it
+            const puzzleData = puzzleManager.puzzleData;
+            btnPrint.disabled = true;
+            let result;
+            try {
+                result = await hintProvider.solution();
+            } catch (error) {
+                console.error('Failed to solve the puzzle:', error);
+                result = null;
+            } finally {
+                btnPrint.disabled = false;
+            }
+            if (puzzleData !== puzzleManager.puzzleData) {
+                printWindow.close();
+                statusMsg.textContent = 'Another puzzle was opened while its solution was worked out.';
+                return;
             }
+            if (!result || !result.solvable) {
+                printWindow.close();
+                statusMsg.textContent = 'No solution was found, so the sheet cannot show its creases.';
+                return;
+            }
+            folds = result.folds;
+        }
+        const absolute = url => (url ? new URL(url, location.href).href : null);
+        const html = PrintSheet.toHtml(puzzleManager, {
+            paper,
+            folds,
+            imageHref: absolute(puzzleManager.puzzleData.image_url),
+            backImageHref: absolute(puzzleManager.getBackImageUrl()),
+            autoPrint: true
+        });
+        printWindow.location = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        statusMsg.textContent = 'Print the sheet at actual size, double-sided.';
+    });
+
+    // Converts the position of a mouse event to SVG user coordinates
+    function toSvgPoint(svg, e) {
+        const pt = svg.createSVGPoint();
+        pt.x = e.clientX;
+        pt.y = e.clientY;
+        const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
+        return [svgP.x, svgP.y];
+    }
+
+    // Fold input: drag or click two points for the fold line, then click the
+    // flap to fold. At the keyboard, arrows move a cursor, whose place on the
+    // paper screen readers hear, Space sets points, Enter folds and Escape
+    // cancels.
+    const foldInput = new FoldInput(puzzleContainer, {
+        isEnabled: () => Boolean(currentPuzzle) && editorPanel.classList.contains('hidden') &&
+            !foldingEngine.isAnimating(),
+        getGraph: () => foldingEngine.getCurrentState(),
+        onStart: point => {
+            // Starting a new line discards the previous proposal
+            proposedFold = null;
+            btnExecute.disabled = true;
+            statusMsg.textContent = `Point 1 selected at ${formatPoint(point)}. Select second point.`;
+            foldingEngine.previewPoint(point);
+        },
+        onDraw: line => foldingEngine.previewFold(line, selectedFoldType),
+        onLine: line => {
+            proposedFold = line;
+            statusMsg.textContent = `Fold line defined. Click the flap to fold, or Execute to fold the whole side (${selectedFoldType}).`;
+            btnExecute.disabled = false;
+            foldingEngine.previewFold(proposedFold, selectedFoldType);
+        },
+        onFlap: flap => {
+            if (PuzzleManager.faceAt(foldingEngine.getCurrentState(), flap) === -1) {
+                statusMsg.textContent = 'Click on the paper to select the flap to fold.';
+                return false;
+            }
+            proposedFold.flap = flap;
+            foldingEngine.previewFold(proposedFold, selectedFoldType);
+            statusMsg.textContent = `Flap selected. Click Execute to perform ${selectedFoldType} fold.`;
+            return true;
+        },
+        onExecute: () => btnExecute.click(),
+        onCancel: () => {
+            proposedFold = null;
+            btnExecute.disabled = true;
+            foldingEngine.clearPreview();
+            statusMsg.textContent = 'Fold line cancelled. Select two points to create a fold.';
+        },
+        onFoldType: type => (type === 'mountain' ? btnMountain : btnValley).click(),
+        onCursor: point => {
+            cursorDescription.textContent = Accessibility.describePoint(foldingEngine.getCurrentState(), point);
+        },
+        onMessage: text => { statusMsg.textContent = text; }
+    });
+
+    // Lists every fold of the current branch; clicking one jumps to the state after it
+    function renderTimeline() {
+        timeline.innerHTML = '';
+        foldingEngine.getTimeline().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'timeline-entry';
+            if (!entry.done) item.classList.add('undone');
+            if (entry.current) item.classList.add('current');
+
+            const jump = document.createElement('button');
+            jump.className = 'timeline-jump';
+            const label = document.createElement('span');
+            const { line, type } = entry.operation;
+            label.textContent = `${entry.index}. ${type === 'mountain' ? 'Mountain' : 'Valley'} ` +
+                `${formatPoint(line.p1)} – ${formatPoint(line.p2)}`;
+            if (entry.current) jump.setAttribute('aria-current', 'step');
+            jump.append(entry.thumbnail, label);
+            jump.addEventListener('click', () => {
+                const before = foldingEngine.getFoldCount();
+                foldingEngine.jumpTo(entry.node);
+                undos += Math.max(0, before - foldingEngine.getFoldCount());
+                proposedFold = null;
+                btnExecute.disabled = true;
+                saveProgress();
+                updateUI();
+                statusMsg.textContent = `Jumped to fold ${entry.index}.`;
+            });
+            item.appendChild(jump);
+
+            // Folding after an undo forks the timeline; let the player pick a branch
+            if (entry.branches > 1) {
+                const branches = document.createElement('span');
+                branches.className = 'timeline-branches';
+                const step = (text, direction) => {
+                    const button = document.createElement('button');
+                    button.textContent = text;
+                    button.setAttribute('aria-label', direction < 0 ? 'Previous branch' : 'Next branch');
+                    button.addEventListener('click', () => {
+                        foldingEngine.switchBranch(entry.node, direction);
+                        saveProgress();
+                        updateUI();
+                    });
+                    return button;
+                };
+                branches.append(step('‹', -1), ` ${entry.branch}/${entry.branches} `, step('›', 1));
+                item.appendChild(branches);
+            }
+            timeline.appendChild(item);
         });
     }
 
     function updateUI() {
+        // The paper changed under any line being drawn
+        proposedFold = null;
+        btnExecute.disabled = true;
+        foldInput.reset();
+        foldingEngine.clearPreview();
+
         btnUndo.disabled = !foldingEngine.canUndo();
-        // Re-attach listeners if SVG was re-rendered
-        setTimeout(setupInteraction, 100);
+        btnRedo.disabled = !foldingEngine.canRedo();
+        if (!currentPuzzle) return;
+        renderTimeline();
+        renderReplay();
+
+        const maxFolds = puzzleManager.getGoal().max_folds;
+        foldCountEl.textContent = maxFolds !== null
+            ? `Folds: ${foldingEngine.getFoldCount()} / ${maxFolds}`
+            : `Folds: ${foldingEngine.getFoldCount()}`;
+        if (currentPuzzle.draft) {
+            puzzleProgress.textContent = `${currentPuzzle.difficulty} · progress is not saved`;
+        } else {
+            const progress = progressStore.get(currentPuzzle.id);
+            puzzleProgress.textContent = `${currentPuzzle.difficulty} · ${describeProgress(progress)}`;
+        }
+
+        // The re-rendered SVG needs the keyboard cursor again, after any fold animation
+        foldingEngine.whenIdle().then(() => foldInput.drawCursor());
+    }
+
+    // Load the catalog and let the player pick a puzzle, unless the
+    // page was opened from a shared link
+    try {
+        await catalog.load();
+        if (!(await openSharedLink())) showLevelSelect();
+    } catch (error) {
+        console.error('Failed to load puzzle catalog:', error);
+        statusMsg.textContent = 'Error loading puzzle catalog.';
     }
 });
@@ -0,0 +1,66 @@
+/**
+ * catalog.js
+ * Lists the available puzzles from the puzzles/index.json manifest
+ */
+
+export class PuzzleCatalog {
+    constructor(manifestUrl = 'puzzles/index.json') {
+        this.manifestUrl = manifestUrl;
+        this.entries = [];
+    }
+
+    // Loads the manifest. Each entry names its puzzle file relative to the manifest;
+    // name and difficulty fall back to the puzzle file's own fields.
+    async load() {
+        const response = await fetch(this.manifestUrl);
+        const manifest = await response.json();
+        const baseUrl = this.manifestUrl.slice(0, this.manifestUrl.lastIndexOf('/') + 1);
+
+        this.entries = await Promise.all(manifest.puzzles.map(async entry => {
+            const item = { ...entry, url: baseUrl + entry.file };
+            if (!item.name || !item.difficulty) {
+                const puzzleData = await this.fetchPuzzle(item);
+                item.name = item.name || puzzleData.name;
+                item.difficulty = item.difficulty || puzzleData.difficulty;
+            }
+            return item;
+        }));
+
+        return this.entries;
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // The puzzle of the day: the same entry all day for everyone with the same
+    // catalog, picked by hashing the local date. Null when the catalog is empty.
+    getDailyEntry(date = new Date()) {
+        if (this.entries.length === 0) return null;
+        const day = PuzzleCatalog.dayKey(date);
+        let hash = 2166136261; // FNV-1a
+        for (let i = 0; i < day.length; i++) {
+            hash = Math.imul(hash ^ day.charCodeAt(i), 16777619) >>> 0;
+        }
+        // Mix the bits so neighbouring days do not pick neighbouring entries
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35) >>> 0;
+        hash = (hash ^ (hash >>> 16)) >>> 0;
+        return this.entries[hash % this.entries.length];
+    }
+
+    // A date as YYYY-MM-DD in local time, naming its daily puzzle and board
+    static dayKey(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    async fetchPuzzle(entry) {
+        const response = await fetch(entry.url);
+        return response.json();
+    }
+}
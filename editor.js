@@ -0,0 +1,209 @@
+/**
+ * editor.js
+ * Draft model and grid view for authoring new puzzles
+ */
+
+import { PuzzleManager } from './puzzle.js';
+
+// How a grid cell is divided into faces, cycled by the cut tool
+const EDITOR_CUTS = ['none', 'diagonal', 'anti-diagonal', 'cross'];
+const EDITOR_MAX_GRID = 12;
+
+export class PuzzleEditor {
+    constructor() {
+        this.name = 'New Puzzle';
+        this.difficulty = 'Easy';
+        this.imageUrl = 'images/puzzle-texture.png';
+        // Part of the image shown on the sheet, as fractions of the image: [x, y, width, height]
+        this.imageSource = [0, 0, 1, 1];
+        this.goal = {
+            width: 1,
+            height: 1,
+            orientation: 'upright',
+            picture_side: 'top',
+            max_folds: null
+        };
+        this.resize(2, 2);
+    }
+
+    // Changes the grid size, keeping the cells that still fit
+    resize(columns, rows) {
+        const clamp = value => Math.max(1, Math.min(EDITOR_MAX_GRID, Math.round(value) || 1));
+        columns = clamp(columns);
+        rows = clamp(rows);
+
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const old = this.cells && column < this.columns && row < this.rows
+                    ? this.cells[row * this.columns + column]
+                    : null;
+                cells.push(old || { cut: 'none', classes: ['image'] });
+            }
+        }
+        this.columns = columns;
+        this.rows = rows;
+        this.cells = cells;
+    }
+
+    // The cell and the face within it under a point of the sheet, or null
+    partAt(point) {
+        const column = Math.floor(point[0]);
+        const row = Math.floor(point[1]);
+        if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) return null;
+
+        const u = point[0] - column;
+        const v = point[1] - row;
+        const cell = this.cells[row * this.columns + column];
+        let part = 0;
+        if (cell.cut === 'diagonal') {
+            part = u > v ? 0 : 1;
+        } else if (cell.cut === 'anti-diagonal') {
+            part = u + v < 1 ? 0 : 1;
+        } else if (cell.cut === 'cross') {
+            if (v < u && v < 1 - u) part = 0;
+            else if (u > v && u > 1 - v) part = 1;
+            else if (v > u && v > 1 - u) part = 2;
+            else part = 3;
+        }
+        return { cell, part };
+    }
+
+    paint(point, faceClass) {
+        const hit = this.partAt(point);
+        if (!hit) return false;
+        hit.cell.classes[hit.part] = faceClass;
+        return true;
+    }
+
+    // Switches the cell under the point to the next way of cutting it
+    cycleCut(point) {
+        const hit = this.partAt(point);
+        if (!hit) return false;
+        const { cell } = hit;
+        cell.cut = EDITOR_CUTS[(EDITOR_CUTS.indexOf(cell.cut) + 1) % EDITOR_CUTS.length];
+        cell.classes = new Array(PuzzleEditor.cellParts(cell.cut).length).fill(cell.classes[0]);
+        return true;
+    }
+
+    // Corner indices (0 top left, 1 top right, 2 bottom right, 3 bottom left,
+    // 4 centre) of every face a cut produces, clockwise on screen like the
+    // faces of the sample puzzles
+    static cellParts(cut) {
+        switch (cut) {
+            case 'diagonal': return [[0, 1, 2], [0, 2, 3]];
+            case 'anti-diagonal': return [[0, 1, 3], [1, 2, 3]];
+            case 'cross': return [[0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]];
+            default: return [[0, 1, 2, 3]];
+        }
+    }
+
+    // The draft as a puzzle file that PuzzleManager.loadPuzzle accepts
+    toPuzzle() {
+        const vertices_coords = [];
+        for (let row = 0; row <= this.rows; row++) {
+            for (let column = 0; column <= this.columns; column++) {
+                vertices_coords.push([column, row]);
+            }
+        }
+        const gridVertex = (column, row) => row * (this.columns + 1) + column;
+
+        const faces_vertices = [];
+        const faces_classes = [];
+        this.cells.forEach((cell, i) => {
+            const column = i % this.columns;
+            const row = Math.floor(i / this.columns);
+            const corners = [
+                gridVertex(column, row),
+                gridVertex(column + 1, row),
+                gridVertex(column + 1, row + 1),
+                gridVertex(column, row + 1)
+            ];
+            if (cell.cut === 'cross') {
+                corners.push(vertices_coords.length);
+                vertices_coords.push([column + 0.5, row + 0.5]);
+            }
+            PuzzleEditor.cellParts(cell.cut).forEach((part, k) => {
+                faces_vertices.push(part.map(corner => corners[corner]));
+                faces_classes.push(cell.classes[k]);
+            });
+        });
+
+        const puzzle = {
+            name: this.name,
+            difficulty: this.difficulty,
+            file_spec: 1.1,
+            image_url: this.imageUrl
+        };
+        if (this.imageSource.some((value, k) => value !== [0, 0, 1, 1][k])) {
+            puzzle.image_source = this.imageSource.slice();
+        }
+        puzzle.goal = { ...this.goal };
+        if (puzzle.goal.max_folds === null) delete puzzle.goal.max_folds;
+
+        return { ...puzzle, vertices_coords, faces_vertices, faces_classes };
+    }
+
+    // File name for the exported puzzle, derived from its name
+    fileName() {
+        const slug = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'puzzle'}.json`;
+    }
+
+    // Draws the draft into the container: faces by class, the picture on
+    // image faces, and cell borders. Returns the SVG element.
+    render(container) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const puzzle = this.toPuzzle();
+        container.innerHTML = '';
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        const padding = 0.1;
+        svg.setAttribute('viewBox', `${-padding} ${-padding} ${this.columns + padding * 2} ${this.rows + padding * 2}`);
+        svg.classList.add('editor-grid');
+        container.appendChild(svg);
+
+        const defs = document.createElementNS(svgNS, 'defs');
+        const clipPath = document.createElementNS(svgNS, 'clipPath');
+        clipPath.setAttribute('id', 'editor-image-faces');
+        defs.appendChild(clipPath);
+        svg.appendChild(defs);
+
+        const facePath = face => {
+            const path = document.createElementNS(svgNS, 'path');
+            const points = face.map(v => puzzle.vertices_coords[v]);
+            path.setAttribute('d', `M ${points.map(p => `${p[0]} ${p[1]}`).join(' L ')} Z`);
+            return path;
+        };
+
+        puzzle.faces_vertices.forEach((face, i) => {
+            const path = facePath(face);
+            path.classList.add(puzzle.faces_classes[i]);
+            svg.appendChild(path);
+            if (puzzle.faces_classes[i] === 'image') clipPath.appendChild(facePath(face));
+        });
+
+        if (this.imageUrl) {
+            const rect = PuzzleManager.imageRect(
+                { minX: 0, minY: 0, width: this.columns, height: this.rows }, this.imageSource);
+            const image = document.createElementNS(svgNS, 'image');
+            image.setAttributeNS('http://www.w3.org/1999/xlink', 'href', this.imageUrl);
+            image.setAttribute('x', rect.x);
+            image.setAttribute('y', rect.y);
+            image.setAttribute('width', rect.width);
+            image.setAttribute('height', rect.height);
+            image.setAttribute('preserveAspectRatio', 'none');
+            image.setAttribute('clip-path', 'url(#editor-image-faces)');
+            svg.appendChild(image);
+        }
+
+        // Outlines go on top of the picture
+        puzzle.faces_vertices.forEach(face => {
+            const outline = facePath(face);
+            outline.classList.add('editor-face');
+            svg.appendChild(outline);
+        });
+
+        return svg;
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * foldfile.js
+ * Saves game states as FOLD files and turns FOLD crease patterns into puzzles
+ */
+
+import { PuzzleSchema } from './schema.js';
+import { PuzzleManager } from './puzzle.js';
+
+// file_creator written into exported files; our own files keep their units on import
+const FOLD_FILE_CREATOR = 'Origami Puzzles';
+// Longer side of the sheet, in puzzle units, for crease patterns made elsewhere
+const FOLD_IMPORT_SIZE = 2;
+// Tolerance for coordinates that should be equal, and for flat (z = 0) vertices
+const FOLD_IMPORT_EPSILON = 1e-6;
+
+export class FoldFile {
+    // A FOLD object for a game state. The top level is the crease pattern
+    // (the paper unfolded, with the creases the folds made), and file_frames[0]
+    // is the folded form: folded vertex positions, faces_orientation (1 when a
+    // face shows its front, -1 when turned over) and faceOrders for the layers.
+    // The puzzle fields and the fold sequence come along so the file can be
+    // imported and played again.
+    static fromState(graph, puzzleData = {}, folds = []) {
+        const fold = {
+            file_spec: 1.1,
+            file_creator: FOLD_FILE_CREATOR,
+            file_title: puzzleData.name || 'Untitled',
+            file_classes: ['singleModel'],
+            frame_classes: ['creasePattern'],
+            frame_attributes: ['2D'],
+            vertices_coords: JSON.parse(JSON.stringify(graph.vertices_origin || graph.vertices_coords)),
+            edges_vertices: JSON.parse(JSON.stringify(graph.edges_vertices)),
+            edges_assignment: graph.edges_assignment.slice(),
+            edges_foldAngle: graph.edges_assignment.map(a => ({ V: 180, M: -180 }[a] || 0)),
+            faces_vertices: JSON.parse(JSON.stringify(graph.faces_vertices)),
+            faces_classes: graph.faces_classes.slice()
+        };
+        if (graph.faces_back_classes) fold.faces_back_classes = graph.faces_back_classes.slice();
+        ['name', 'difficulty', 'image_url', 'image_source', 'back_image_url', 'back_image_source', 'palette', 'goal'].forEach(key => {
+            if (puzzleData[key] !== undefined) fold[key] = JSON.parse(JSON.stringify(puzzleData[key]));
+        });
+        fold['puzzle:folds'] = JSON.parse(JSON.stringify(folds));
+
+        fold.file_frames = [{
+            frame_title: 'Folded form',
+            frame_classes: ['foldedForm'],
+            frame_attributes: ['2D', 'layered'],
+            frame_parent: 0,
+            frame_inherit: true,
+            vertices_coords: JSON.parse(JSON.stringify(graph.vertices_coords)),
+            faces_orientation: graph.faces_vertices.map((_, i) => (graph.faces_flipped && graph.faces_flipped[i] ? -1 : 1)),
+            faceOrders: PuzzleManager.computeFaceOrders(graph)
+        }];
+        return fold;
+    }
+
+    // Turns a FOLD object into puzzle data for PuzzleManager.loadPuzzle, plus the
+    // folds to replay (only files exported by this app carry them). The crease
+    // pattern is the top level or the frame classed "creasePattern"; faces are
+    // found from the edges when the file has none. Files from other tools are
+    // moved to the origin and scaled to FOLD_IMPORT_SIZE. Without faces_classes,
+    // faces seen from above in the folded form get the picture and the rest
+    // are colour, and the goal is the size of the folded form.
+    static toPuzzle(fold) {
+        const pattern = FoldFile.creasePattern(fold);
+        let coords = FoldFile.flatCoords(pattern.vertices_coords, 'crease pattern');
+        if (!Array.isArray(pattern.edges_vertices) && !Array.isArray(pattern.faces_vertices)) {
+            throw new Error('FOLD file has neither edges_vertices nor faces_vertices');
+        }
+
+        let faces = Array.isArray(pattern.faces_vertices)
+            ? pattern.faces_vertices
+            : FoldFile.findFaces(coords, pattern.edges_vertices);
+        // Our faces wind clockwise on screen (positive shoelace area with y down)
+        faces = faces.map(face => (PuzzleSchema.signedArea(face.map(v => coords[v])) < 0 ? face.slice().reverse() : face));
+
+        // Fold again from scratch, so keep only the creases as guides
+        const assignments = new Map();
+        (pattern.edges_vertices || []).forEach(([u, v], i) => {
+            const assignment = (pattern.edges_assignment || [])[i];
+            if (assignment === 'M' || assignment === 'V') assignments.set(FoldFile.edgeKey(u, v), assignment);
+        });
+        const edges = new Map(); // key -> { vertices, faces: number of faces it borders }
+        faces.forEach(face => face.forEach((u, j) => {
+            const v = face[(j + 1) % face.length];
+            const key = FoldFile.edgeKey(u, v);
+            if (!edges.has(key)) edges.set(key, { vertices: [u, v], faces: 0 });
+            edges.get(key).faces++;
+        }));
+        const edgesVertices = [...edges.values()].map(edge => edge.vertices);
+        const edgesAssignment = [...edges.entries()].map(([key, edge]) =>
+            assignments.get(key) || (edge.faces > 1 ? 'F' : 'B'));
+
+        const ours = fold.file_creator === FOLD_FILE_CREATOR;
+        const sheet = PuzzleManager.getBounds(coords);
+        const scale = ours ? 1 : FOLD_IMPORT_SIZE / Math.max(sheet.width, sheet.height);
+        const place = p => (ours ? p.slice() : [(p[0] - sheet.minX) * scale, (p[1] - sheet.minY) * scale]);
+        const round = value => Math.round(value / FOLD_IMPORT_EPSILON) * FOLD_IMPORT_EPSILON + 0;
+        coords = coords.map(p => place(p).map(round));
+
+        const folded = FoldFile.foldedForm(fold, pattern, faces);
+        const foldedBounds = PuzzleManager.getBounds(folded.coords);
+
+        const puzzle = {
+            name: fold.name || fold.file_title || fold.frame_title || 'Imported Crease Pattern',
+            difficulty: fold.difficulty || 'Imported',
+            file_spec: 1.1,
+            image_url: fold.image_url || 'images/puzzle-texture.png'
+        };
+        ['image_source', 'back_image_url', 'back_image_source', 'palette'].forEach(key => {
+            if (fold[key]) puzzle[key] = fold[key];
+        });
+        puzzle.goal = fold.goal || {
+            width: round(foldedBounds.width * scale),
+            height: round(foldedBounds.height * scale),
+            orientation: 'any',
+            picture_side: 'top'
+        };
+
+        return {
+            puzzle: {
+                ...puzzle,
+                vertices_coords: coords,
+                faces_vertices: faces,
+                faces_classes: Array.isArray(pattern.faces_classes) && pattern.faces_classes.length === faces.length
+                    ? pattern.faces_classes
+                    : FoldFile.classesFromFoldedForm(folded, faces),
+                ...(Array.isArray(pattern.faces_back_classes) && pattern.faces_back_classes.length === faces.length
+                    ? { faces_back_classes: pattern.faces_back_classes }
+                    : {}),
+                edges_vertices: edgesVertices,
+                edges_assignment: edgesAssignment
+            },
+            folds: ours && Array.isArray(fold['puzzle:folds']) ? fold['puzzle:folds'] : []
+        };
+    }
+
+    // The frame holding the crease pattern, with inherited fields filled in
+    static creasePattern(fold) {
+        const frames = [fold, ...(fold.file_frames || [])];
+        const index = frames.findIndex(frame => (frame.frame_classes || []).includes('creasePattern'));
+        return FoldFile.frame(fold, index === -1 ? 0 : index);
+    }
+
+    // Frame i of the file (0 is the top level), merged with its parents when it inherits
+    static frame(fold, i) {
+        if (i === 0) return fold;
+        const frame = fold.file_frames[i - 1];
+        if (!frame.frame_inherit || frame.frame_parent === undefined) return frame;
+        const { file_frames, ...parent } = FoldFile.frame(fold, frame.frame_parent);
+        return { ...parent, ...frame };
+    }
+
+    // The folded form's vertex positions, which way each face is turned and
+    // its faceOrders. Taken from a "foldedForm" frame when there is one,
+    // otherwise worked out by reflecting faces across every mountain and valley
+    // crease, starting from face 0; the faces on either side of a crease are
+    // then ordered by it, the only layers known without a layer solver.
+    static foldedForm(fold, pattern, faces) {
+        const coords = FoldFile.flatCoords(pattern.vertices_coords, 'crease pattern');
+        const frames = [fold, ...(fold.file_frames || [])];
+        const index = frames.findIndex(frame => (frame.frame_classes || []).includes('foldedForm'));
+
+        if (index !== -1) {
+            const frame = FoldFile.frame(fold, index);
+            const foldedCoords = FoldFile.flatCoords(frame.vertices_coords, 'folded form');
+            if (foldedCoords.length === coords.length) {
+                // A face turned over winds the other way round in the folded form
+                const orientation = Array.isArray(frame.faces_orientation) ? frame.faces_orientation : faces.map(face =>
+                    Math.sign(PuzzleSchema.signedArea(face.map(v => foldedCoords[v]))) || 1);
+                return { coords: foldedCoords, orientation, faceOrders: frame.faceOrders || [] };
+            }
+        }
+
+        // 1 for valley creases, -1 for mountain creases
+        const creases = new Map();
+        (pattern.edges_vertices || []).forEach(([u, v], i) => {
+            const assignment = (pattern.edges_assignment || [])[i];
+            const angle = (pattern.edges_foldAngle || [])[i];
+            if (assignment === 'V' || angle === 180) creases.set(FoldFile.edgeKey(u, v), 1);
+            if (assignment === 'M' || angle === -180) creases.set(FoldFile.edgeKey(u, v), -1);
+        });
+
+        // Each face's placement is an affine map [a, b, c, d, e, f] from the crease pattern
+        const identity = [1, 0, 0, 1, 0, 0];
+        const apply = (m, p) => [m[0] * p[0] + m[2] * p[1] + m[4], m[1] * p[0] + m[3] * p[1] + m[5]];
+        const compose = (m, n) => [
+            m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+        const reflection = (p, q) => {
+            const dx = q[0] - p[0];
+            const dy = q[1] - p[1];
+            const len2 = dx * dx + dy * dy;
+            const a = (dx * dx - dy * dy) / len2;
+            const b = 2 * dx * dy / len2;
+            return [a, b, b, -a, p[0] - a * p[0] - b * p[1], p[1] - b * p[0] + a * p[1]];
+        };
+
+        const adjacency = new Map();
+        faces.forEach((face, i) => face.forEach((u, j) => {
+            const key = FoldFile.edgeKey(u, face[(j + 1) % face.length]);
+            if (!adjacency.has(key)) adjacency.set(key, []);
+            adjacency.get(key).push(i);
+        }));
+
+        const placements = new Array(faces.length).fill(null);
+        placements[0] = identity;
+        const queue = [0];
+        while (queue.length > 0) {
+            const face = queue.shift();
+            faces[face].forEach((u, j) => {
+                const v = faces[face][(j + 1) % faces[face].length];
+                const key = FoldFile.edgeKey(u, v);
+                adjacency.get(key).forEach(other => {
+                    if (placements[other]) return;
+                    placements[other] = creases.has(key)
+                        ? compose(placements[face], reflection(coords[u], coords[v]))
+                        : placements[face];
+                    queue.push(other);
+                });
+            });
+        }
+
+        const foldedCoords = coords.map(p => p.slice());
+        faces.forEach((face, i) => face.forEach(v => {
+            foldedCoords[v] = apply(placements[i] || identity, coords[v]);
+        }));
+        const orientation = placements.map(m => (m && m[0] * m[3] - m[1] * m[2] < 0 ? -1 : 1));
+
+        // A valley crease folds each face onto the front (normal) side of the other
+        const faceOrders = [];
+        creases.forEach((sign, key) => {
+            const [f, g] = adjacency.get(key) || [];
+            if (g !== undefined) faceOrders.push([f, g, sign], [g, f, sign]);
+        });
+        return { coords: foldedCoords, orientation, faceOrders };
+    }
+
+    // Faces that nothing covers from above get the picture, the rest are colour
+    static classesFromFoldedForm(folded, faces) {
+        // [f, g, s]: f is on the side of g its normal points to, which faces the
+        // viewer when g shows its front
+        const covered = new Set();
+        folded.faceOrders.forEach(([f, g, s]) => {
+            const fAbove = s * (folded.orientation[g] || 1) > 0;
+            covered.add(fAbove ? g : f);
+        });
+        return faces.map((_, i) => (covered.has(i) ? 'color' : 'image'));
+    }
+
+    // Planar faces of a crease pattern given only its edges: walk every edge in
+    // both directions, always turning as far right as possible, and drop the
+    // outer boundary (the one walk that winds the other way round)
+    static findFaces(coords, edgesVertices) {
+        const neighbours = coords.map(() => []);
+        edgesVertices.forEach(([u, v]) => {
+            neighbours[u].push(v);
+            neighbours[v].push(u);
+        });
+        const angle = (from, to) => Math.atan2(coords[to][1] - coords[from][1], coords[to][0] - coords[from][0]);
+        neighbours.forEach((list, v) => list.sort((a, b) => angle(v, a) - angle(v, b)));
+
+        const visited = new Set();
+        const faces = [];
+        edgesVertices.forEach(([a, b]) => [[a, b], [b, a]].forEach(([start, next]) => {
+            if (visited.has(`${start},${next}`)) return;
+            const face = [];
+            let u = start;
+            let v = next;
+            while (!visited.has(`${u},${v}`)) {
+                visited.add(`${u},${v}`);
+                face.push(u);
+                const around = neighbours[v];
+                const w = around[(around.indexOf(u) - 1 + around.length) % around.length];
+                u = v;
+                v = w;
+            }
+            faces.push(face);
+        }));
+
+        return faces.filter(face => face.length >= 3 && PuzzleSchema.signedArea(face.map(v => coords[v])) > FOLD_IMPORT_EPSILON);
+    }
+
+    // 2D coordinates of a flat frame; 3D files are accepted while every z is 0
+    static flatCoords(coords, what) {
+        if (!Array.isArray(coords)) throw new Error(`FOLD ${what} has no vertices_coords`);
+        return coords.map(p => {
+            if (p.length > 2 && Math.abs(p[2]) > FOLD_IMPORT_EPSILON) {
+                throw new Error(`FOLD ${what} is not flat (a vertex has z = ${p[2]})`);
+            }
+            return [p[0], p[1]];
+        });
+    }
+
+    static edgeKey(u, v) {
+        return u < v ? `${u},${v}` : `${v},${u}`;
+    }
+
+    static fileName(title) {
+        const slug = (title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'origami'}.fold`;
+    }
+}
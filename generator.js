@@ -0,0 +1,211 @@
+/**
+ * generator.js
+ * Creates random puzzles from a seed and rates how hard they are
+ */
+
+import { PuzzleManager } from './puzzle.js';
+import { PuzzleSolver } from './solver.js';
+import { PuzzleEditor } from './editor.js';
+import { FoldScript } from './script.js';
+
+// Grid sizes (cells per side) picked from when the options name none
+const GENERATOR_SIZES = [2, 3, 4];
+// Most folds in a generated sequence, and sequences tried before giving up.
+// Most sequences leave the picture cells mirrored on both sides, so many are tried.
+const GENERATOR_MAX_FOLDS = 5;
+const GENERATOR_ATTEMPTS = 500;
+// States the solver may explore when rating a puzzle
+const GENERATOR_SOLVER_STATES = 1500;
+// Share of puzzles whose picture is wanted on the top side of the folded paper
+const GENERATOR_TOP_SHARE = 0.75;
+// Highest score of each difficulty label, from easy to hard
+const GENERATOR_LEVELS = [[8, 'Easy'], [16, 'Medium'], [Infinity, 'Hard']];
+const GENERATOR_EPSILON = 1e-6;
+
+export class PuzzleGenerator {
+    // options: size (cells per side of the sheet), target (cells per side of
+    // the folded square), imageUrl. Left out, size and target come from the seed.
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    // A puzzle file that PuzzleManager.loadPuzzle reads, the same for the same
+    // seed (a number or a string). The sheet is a square grid of cells, folded
+    // to a smaller square along grid lines by a random sequence of legal
+    // folds. Working back from the folded square, the cells that end up on its
+    // picture side show the picture and every other cell is solid colour.
+    // The puzzle's generator entry records the seed and its rating (see rate).
+    // Throws when no sequence fits within GENERATOR_ATTEMPTS tries.
+    generate(seed) {
+        const random = PuzzleGenerator.random(seed);
+        const size = this.options.size || GENERATOR_SIZES[Math.floor(random() * GENERATOR_SIZES.length)];
+        const target = this.options.target || 1 + Math.floor(random() * Math.floor(size / 2));
+        if (!(target < size)) throw new Error(`Cannot fold a ${size}x${size} sheet to ${target}x${target}`);
+
+        const editor = new PuzzleEditor();
+        editor.name = `Generated #${seed}`;
+        if (this.options.imageUrl) editor.imageUrl = this.options.imageUrl;
+        editor.resize(size, size);
+        const blank = new PuzzleManager();
+        blank.loadPuzzle(editor.toPuzzle());
+        const solver = new PuzzleSolver(blank);
+
+        for (let attempt = 0; attempt < GENERATOR_ATTEMPTS; attempt++) {
+            const folds = PuzzleGenerator.randomFolds(solver, target, random);
+            const pictureSide = random() < GENERATOR_TOP_SHARE ? 'top' : 'bottom';
+            const puzzle = folds && PuzzleGenerator.paint(editor, blank, folds, target, pictureSide);
+            if (!puzzle) continue;
+
+            const rating = PuzzleGenerator.rate(puzzle, folds);
+            puzzle.difficulty = rating.difficulty;
+            puzzle.generator = { seed, ...rating.details };
+            return puzzle;
+        }
+        throw new Error(`No puzzle found for seed ${seed} within ${GENERATOR_ATTEMPTS} attempts`);
+    }
+
+    // Random legal folds along grid lines that take the sheet of the solver's
+    // puzzle down to the target square, or null when the sequence runs too long
+    static randomFolds(solver, target, random) {
+        const fits = bounds => bounds.width > target - GENERATOR_EPSILON && bounds.height > target - GENERATOR_EPSILON;
+        const done = bounds => Math.abs(bounds.width - target) < GENERATOR_EPSILON &&
+            Math.abs(bounds.height - target) < GENERATOR_EPSILON;
+
+        let graph = solver.puzzleManager.getInitialState();
+        const folds = [];
+        while (!done(PuzzleManager.getBounds(graph.vertices_coords))) {
+            if (folds.length === GENERATOR_MAX_FOLDS) return null;
+
+            // Grid lines never cut a cell, so every cell stays one face
+            const options = solver.candidateFolds(graph)
+                .filter(({ line }) => line.p1[0] === line.p2[0] || line.p1[1] === line.p2[1])
+                .map(fold => ({ fold, check: PuzzleManager.checkFold(graph, fold.line, fold.type) }))
+                .filter(({ check }) => check.legal && fits(PuzzleManager.getBounds(check.graph.vertices_coords)));
+            if (options.length === 0) return null;
+
+            const { fold, check } = options[Math.floor(random() * options.length)];
+            folds.push(fold);
+            graph = check.graph;
+        }
+        return folds;
+    }
+
+    // Paints the cells that the folds bring to the picture side of the folded
+    // square with the picture, and the rest with colour. The picture is
+    // stretched over exactly those cells. The picture side that was asked for
+    // is tried first, then the other one, as a cell that shows its back reads
+    // mirrored. Returns the puzzle, or null when neither side shows the
+    // picture in one piece.
+    // `blank` holds the editor's sheet as loaded before painting.
+    static paint(editor, blank, folds, target, pictureSide) {
+        const sheet = blank.getInitialState();
+        const folded = PuzzleGenerator.play(blank, folds);
+        const samples = PuzzleManager.sampleViews(folded, PuzzleManager.getBounds(folded.vertices_coords));
+
+        const sides = pictureSide === 'top' ? ['top', 'bottom'] : ['bottom', 'top'];
+        for (const side of sides) {
+            const shown = new Set(samples.map(sample => sample[side]));
+            if (shown.has(-1)) return null;
+            const region = PuzzleManager.getBounds([...shown]
+                .flatMap(f => sheet.faces_vertices[f].map(v => sheet.vertices_coords[v])));
+            if (Math.abs(region.width - target) > GENERATOR_EPSILON ||
+                Math.abs(region.height - target) > GENERATOR_EPSILON) continue;
+
+            editor.cells.forEach((cell, i) => {
+                cell.classes = [shown.has(i) ? 'image' : 'color'];
+            });
+            // imageRect places the image's source part over the sheet, so this
+            // source puts the whole image over the region
+            editor.imageSource = [-region.minX / target, -region.minY / target,
+                editor.columns / target, editor.rows / target].map(value => value + 0);
+
+            // An upright picture when the folds allow one, turned otherwise
+            for (const orientation of ['upright', 'any']) {
+                editor.goal = {
+                    width: target,
+                    height: target,
+                    orientation,
+                    picture_side: side,
+                    image_region: [region.minX, region.minY, target, target],
+                    max_folds: null
+                };
+                const puzzle = editor.toPuzzle();
+                const puzzleManager = new PuzzleManager();
+                puzzleManager.loadPuzzle(puzzle);
+                if (puzzleManager.validateState(PuzzleGenerator.play(puzzleManager, folds)).solved) return puzzle;
+            }
+        }
+        return null;
+    }
+
+    // The state of a loaded puzzle after legal folds
+    static play(puzzleManager, folds) {
+        let graph = puzzleManager.getInitialState();
+        folds.forEach(fold => { graph = PuzzleManager.checkFold(graph, fold.line, fold.type).graph; });
+        return graph;
+    }
+
+    // Scores a puzzle: two points per fold of its shortest solution, a point
+    // per mountain fold and per flap picked in it, and a point per layer of
+    // the folded square above two. `folds` solves the puzzle and stands in
+    // when the solver gives up, so the rating is then an upper bound. Returns
+    // { score, difficulty, details }, where details holds the fold script of
+    // the solution it rated, max_folds (its length) and min_folds: the same
+    // number when the solver proved it shortest, null otherwise.
+    static rate(puzzle, folds) {
+        const puzzleManager = new PuzzleManager();
+        puzzleManager.loadPuzzle(puzzle);
+        const result = new PuzzleSolver(puzzleManager, {
+            maxDepth: folds.length,
+            maxStates: GENERATOR_SOLVER_STATES
+        }).solve();
+        const solution = result.solvable ? result.folds : folds;
+
+        const layers = PuzzleGenerator.layerCount(PuzzleGenerator.play(puzzleManager, solution));
+
+        const mountains = solution.filter(fold => fold.type === 'mountain').length;
+        const flaps = solution.filter(fold => fold.line.flap).length;
+        const score = solution.length * 2 + mountains + flaps + Math.max(0, layers - 2);
+        const [, difficulty] = GENERATOR_LEVELS.find(([most]) => score <= most);
+        return {
+            score,
+            difficulty,
+            details: {
+                score,
+                min_folds: result.solvable ? solution.length : null,
+                max_folds: solution.length,
+                mountain_folds: mountains,
+                flap_folds: flaps,
+                layers,
+                solution: FoldScript.stringify(solution)
+            }
+        };
+    }
+
+    // Most layers of paper stacked anywhere in a folded state
+    static layerCount(graph) {
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        return Math.max(...PuzzleManager.sampleViews(graph, PuzzleManager.getBounds(graph.vertices_coords))
+            .map(sample => polygons.filter(polygon => PuzzleManager.pointInPolygon(sample.point, polygon)).length));
+    }
+
+    // Seeded random numbers in [0, 1) (mulberry32); a string seed is hashed first
+    static random(seed) {
+        let state = 0;
+        if (typeof seed === 'number' && Number.isInteger(seed)) {
+            state = seed >>> 0;
+        } else {
+            const text = String(seed);
+            for (let i = 0; i < text.length; i++) {
+                state = Math.imul(state ^ text.charCodeAt(i), 2654435761) >>> 0;
+            }
+        }
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * hint-worker.js
+ * Web Worker that runs the solver searches of HintProvider off the page's thread
+ */
+
+import { PuzzleManager } from './puzzle.js';
+import { PuzzleSolver } from './solver.js';
+
+let solver = null; // Solver of the puzzle last loaded
+
+// Answers a message from HintProvider: { type: 'load', puzzle } starts on a
+// puzzle, and { type: 'solve', id, graph, foldCount } asks for the shortest
+// solution from a state, answered with { id, result } as PuzzleSolver.solve
+// returns it. Returns the answer to post back, or null when there is none.
+export function answer(message) {
+    if (message.type === 'load') {
+        const puzzleManager = new PuzzleManager();
+        puzzleManager.loadPuzzle(message.puzzle);
+        solver = new PuzzleSolver(puzzleManager);
+        return null;
+    }
+    return { id: message.id, result: solver.solve(message.graph, message.foldCount) };
+}
+
+// WorkerGlobalScope only exists inside a worker; Node imports answer() directly
+if (typeof WorkerGlobalScope !== 'undefined') {
+    self.addEventListener('message', event => {
+        const reply = answer(event.data);
+        if (reply) self.postMessage(reply);
+    });
+}
@@ -0,0 +1,104 @@
+/**
+ * hints.js
+ * Suggests the next fold from the solver's shortest path to the goal
+ */
+
+import { PuzzleSolver } from './solver.js';
+
+// Hints come in tiers: 1 highlights the paper to fold, 2 adds the fold line,
+// 3 also reveals whether it is a valley or a mountain fold
+const HINT_TIERS = 3;
+
+export class HintProvider {
+    // options.worker, when given, is a Worker running hint-worker.js that
+    // does the searching, so the page stays responsive while it runs. Without
+    // one the solver runs on the caller's thread, for instance under Node.
+    constructor(puzzleManager, options = {}) {
+        this.puzzleManager = puzzleManager;
+        this.worker = options.worker || null;
+        this.solver = null;
+        this.stateKey = null;
+        this.result = null; // Promise of the solver's result for stateKey
+        this.tier = 0;
+        this.requests = 0;
+        this.waiting = new Map(); // request id -> { resolve, reject } of a search in the worker
+
+        if (this.worker) {
+            this.worker.addEventListener('message', event => {
+                const request = this.waiting.get(event.data.id);
+                if (!request) return;
+                this.waiting.delete(event.data.id);
+                request.resolve(event.data.result);
+            });
+            this.worker.addEventListener('error', event => {
+                this.waiting.forEach(request => request.reject(new Error(event.message || 'hint worker failed')));
+                this.waiting.clear();
+            });
+        }
+    }
+
+    // Call whenever a new puzzle is loaded
+    reset() {
+        this.solver = new PuzzleSolver(this.puzzleManager);
+        if (this.worker) this.worker.postMessage({ type: 'load', puzzle: this.puzzleManager.puzzleData });
+        this.stateKey = null;
+        this.result = null;
+        this.tier = 0;
+    }
+
+    // Asking again for the same state reveals the next tier. Resolves to
+    // { fold, tier, distance, revealed } where distance is the number of folds
+    // left on the shortest path and revealed tells whether this call showed
+    // something new, or { fold: null, result } when no fold can be suggested.
+    // Resolves to null when another state or puzzle was asked about while
+    // the search ran, as its answer no longer applies.
+    async next(graph, foldCount) {
+        if (!this.solver) this.reset();
+
+        const key = `${foldCount}|${this.solver.canonicalKey(graph)}`;
+        if (key !== this.stateKey) {
+            this.stateKey = key;
+            this.result = this.search(graph, foldCount);
+            this.tier = 0;
+        }
+        let result;
+        try {
+            result = await this.result;
+        } catch (error) {
+            // Search this state again when asked next time
+            if (key === this.stateKey) this.stateKey = null;
+            throw error;
+        }
+        if (key !== this.stateKey) return null;
+
+        if (!result.solvable || result.folds.length === 0) {
+            return { fold: null, result };
+        }
+
+        const revealed = this.tier < HINT_TIERS;
+        this.tier = Math.min(this.tier + 1, HINT_TIERS);
+        return {
+            fold: result.folds[0],
+            tier: this.tier,
+            distance: result.folds.length,
+            revealed
+        };
+    }
+
+    // The shortest solution from the unfolded sheet, as PuzzleSolver.solve
+    // returns it, searched for like the hints (in the worker when there is one)
+    solution() {
+        if (!this.solver) this.reset();
+        return this.search(this.puzzleManager.getInitialState(), 0);
+    }
+
+    // The solver's result from a state, from the worker when there is one
+    search(graph, foldCount) {
+        if (!this.worker) return Promise.resolve(this.solver.solve(graph, foldCount));
+        const id = ++this.requests;
+        return new Promise((resolve, reject) => {
+            this.waiting.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'solve', id, graph, foldCount });
+        });
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * history.js
+ * Fold history as a tree of operations, rebuilt by replaying folds
+ */
+
+import { PuzzleManager } from './puzzle.js';
+
+export class FoldHistory {
+    // Node 0 is the unfolded paper and every other node is
+    // { operation, parent, children, redo }, where operation is the
+    // { line, type } fold and redo is the child that redo (and the timeline)
+    // follows. States are rebuilt by replaying operations from the start
+    // rather than stored as snapshots.
+    constructor(initialState = null) {
+        this.reset(initialState);
+    }
+
+    // Starts over from the given unfolded state, or the current one
+    reset(initialState = this.initialState) {
+        this.initialState = initialState;
+        this.nodes = [{ operation: null, parent: null, children: [], redo: null }];
+        this.current = 0;
+        this.graph = this.replay(0);
+    }
+
+    getState() {
+        return this.graph;
+    }
+
+    getCurrentNode() {
+        return this.current;
+    }
+
+    // Folds the current state and records the fold as a new child of the
+    // current node, so folding where redo is possible starts a new branch.
+    // Returns the state before the fold. `folded`, when given, is
+    // the state after it, already worked out (see PuzzleManager.checkFold).
+    fold(line, type, folded = null) {
+        const before = this.graph;
+        this.graph = folded || PuzzleManager.foldGraph(JSON.parse(JSON.stringify(before)), line, type);
+
+        const node = this.nodes.length;
+        this.nodes.push({
+            operation: JSON.parse(JSON.stringify({ line, type })),
+            parent: this.current,
+            children: [],
+            redo: null
+        });
+        this.nodes[this.current].children.push(node);
+        this.nodes[this.current].redo = node;
+        this.current = node;
+        return before;
+    }
+
+    // Steps back one fold. Returns the fold undone, or null.
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const { operation, parent } = this.nodes[this.current];
+        this.current = parent;
+        this.graph = this.replay(parent);
+        return operation;
+    }
+
+    canUndo() {
+        return this.current !== 0;
+    }
+
+    // Repeats the fold that was last undone on this branch. Returns
+    // { before, operation } with a copy of the state before it, or null.
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const next = this.nodes[this.current].redo;
+        const { operation } = this.nodes[next];
+        const before = this.graph;
+        this.current = next;
+        this.graph = PuzzleManager.foldGraph(JSON.parse(JSON.stringify(before)), operation.line, operation.type);
+        return { before, operation };
+    }
+
+    canRedo() {
+        return this.nodes[this.current].redo !== null;
+    }
+
+    // Moves to the state after the given node. Returns false for unknown nodes.
+    jumpTo(node) {
+        if (!this.nodes[node]) return false;
+        this.current = node;
+        this.graph = this.replay(node);
+        return true;
+    }
+
+    // Makes the timeline follow the next (step 1) or previous (step -1) branch
+    // that forks where the given node does. If the current state lies on the
+    // branch being left, jumps to the same depth of the new branch, or as far
+    // as it goes. Returns whether the current state changed.
+    switchBranch(node, step) {
+        const { parent } = this.nodes[node];
+        if (parent === null) return false;
+        const siblings = this.nodes[parent].children;
+        const target = siblings[(siblings.indexOf(node) + step + siblings.length) % siblings.length];
+        this.nodes[parent].redo = target;
+
+        const path = this.pathTo(this.current);
+        if (!path.includes(node)) return false;
+
+        let landing = target;
+        for (let depth = path.indexOf(node) + 1; depth < path.length && this.nodes[landing].redo !== null; depth++) {
+            landing = this.nodes[landing].redo;
+        }
+        return this.jumpTo(landing);
+    }
+
+    // Nodes from the unfolded paper to the given node, root first
+    pathTo(node) {
+        const path = [];
+        for (let n = node; n !== null; n = this.nodes[n].parent) path.unshift(n);
+        return path;
+    }
+
+    // The state after the given node, rebuilt by folding the initial state again
+    replay(node) {
+        const graph = JSON.parse(JSON.stringify(this.initialState || {}));
+        this.pathTo(node).slice(1).forEach(n => {
+            PuzzleManager.foldGraph(graph, this.nodes[n].operation.line, this.nodes[n].operation.type);
+        });
+        return graph;
+    }
+
+    getFoldCount() {
+        return this.pathTo(this.current).length - 1;
+    }
+
+    // The folds made so far, as { line, type } objects that fold() accepts
+    getFoldOperations() {
+        return this.pathTo(this.current).slice(1).map(n => JSON.parse(JSON.stringify(this.nodes[n].operation)));
+    }
+
+    // Every fold on the current branch, including those that can be redone:
+    // [{ node, parent, index, operation, done, current, branch, branches }],
+    // where branch and branches number the alternatives forking at that fold
+    getTimeline() {
+        const path = this.pathTo(this.current);
+        for (let n = this.nodes[this.current].redo; n !== null; n = this.nodes[n].redo) path.push(n);
+
+        return path.slice(1).map((node, i) => {
+            const { operation, parent } = this.nodes[node];
+            const siblings = this.nodes[parent].children;
+            return {
+                node,
+                parent,
+                index: i + 1,
+                operation: JSON.parse(JSON.stringify(operation)),
+                done: i < path.indexOf(this.current),
+                current: node === this.current,
+                branch: siblings.indexOf(node) + 1,
+                branches: siblings.length
+            };
+        });
+    }
+}
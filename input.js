@@ -0,0 +1,351 @@
+/**
+ * input.js
+ * Pointer, touch and keyboard input for drawing fold lines
+ */
+
+import { PuzzleManager } from './puzzle.js';
+import { PuzzleSolver } from './solver.js';
+
+// How far (in screen pixels) a pointer snaps to vertices, midpoints and creases
+const INPUT_SNAP_RADIUS = 12;
+// How far (in screen pixels) a pointer must move before a press becomes a drag
+const INPUT_DRAG_THRESHOLD = 6;
+// Arrow keys move the cursor by this fraction of the grid unit (Shift: a whole unit)
+const INPUT_CURSOR_STEP = 0.5;
+const INPUT_EPSILON = 1e-6;
+
+export class FoldInput {
+    // Listens on the container once; the SVG inside it may be replaced at any
+    // time. Handlers, all optional:
+    //   isEnabled()          whether input is accepted right now
+    //   getGraph()           the state folds are drawn on
+    //   onStart(point)       the first point of a line was set
+    //   onDraw(line)         a line is being drawn (dragged, or hovered from the first point)
+    //   onLine(line)         a fold line { p1, p2 } was completed
+    //   onFlap(point)        a point on the flap to fold was picked; return false to reject it
+    //   onExecute()          the keyboard asked to fold (Enter with a line ready)
+    //   onCancel()           the line being drawn, or the one ready, was dropped (Escape)
+    //   onFoldType(type)     V or M was pressed
+    //   onCursor(point)      the keyboard cursor moved to a point of the paper
+    //   onMessage(text)      something to tell the player
+    constructor(container, handlers = {}) {
+        this.container = container;
+        this.handlers = handlers;
+        this.grid = { unit: 1, minX: 0, minY: 0, maxX: 1, maxY: 1 };
+        this.cursor = [0, 0];
+        this.cursorVisible = false;
+        this.start = null; // First point of a half-drawn line
+        this.awaitingFlap = false; // A line is ready and the next tap picks the flap
+        this.ready = false; // A line is ready to fold
+        this.drag = null; // { pointerId, client, view, raw, start, moved } while the pointer is down
+        this.attach();
+    }
+
+    attach() {
+        this.container.addEventListener('pointerdown', e => this.pointerDown(e));
+        this.container.addEventListener('pointermove', e => this.pointerMove(e));
+        this.container.addEventListener('pointerup', e => this.pointerUp(e));
+        this.container.addEventListener('pointercancel', () => { this.drag = null; });
+        this.container.addEventListener('keydown', e => this.keyDown(e));
+    }
+
+    // Takes the grid from the unfolded sheet of a new puzzle: its smallest
+    // coordinate spacing, as the solver uses, starting at its corner
+    setSheet(initialState) {
+        const bounds = PuzzleManager.getBounds(initialState.vertices_coords);
+        this.grid = { unit: PuzzleSolver.gridUnit(initialState.vertices_coords), ...bounds };
+        this.cursor = [bounds.minX, bounds.minY];
+        this.cursorVisible = false;
+        this.reset();
+    }
+
+    // Forgets any line being drawn or ready, without telling the handlers
+    reset() {
+        this.start = null;
+        this.awaitingFlap = false;
+        this.ready = false;
+        this.drag = null;
+    }
+
+    call(name, ...args) {
+        return this.handlers[name] ? this.handlers[name](...args) : undefined;
+    }
+
+    enabled() {
+        return this.handlers.isEnabled ? this.handlers.isEnabled() : true;
+    }
+
+    svg() {
+        return this.container.querySelector('svg');
+    }
+
+    // The views of the paper in the SVG (see SvgRenderer.describe), or the
+    // SVG itself when it has none. Their transforms map paper coordinates
+    // onto the screen, however the view is flipped or rotated.
+    views() {
+        const svg = this.svg();
+        if (!svg) return [];
+        const views = [...svg.querySelectorAll('.view')];
+        return views.length > 0 ? views : [svg];
+    }
+
+    // Converts the position of a pointer event to paper coordinates in a view
+    toPaperPoint(view, e) {
+        const pt = this.svg().createSVGPoint();
+        pt.x = e.clientX;
+        pt.y = e.clientY;
+        const paperP = pt.matrixTransform(view.getScreenCTM().inverse());
+        return [paperP.x, paperP.y];
+    }
+
+    // Index of the view a pointer event is over: in a split view, the one
+    // whose paper is nearest to the pointer
+    viewAt(e) {
+        const views = this.views();
+        if (views.length < 2) return 0;
+        const { minX, minY, maxX, maxY } = PuzzleManager.getBounds(this.call('getGraph').vertices_coords);
+        const distances = views.map(view => {
+            const [x, y] = this.toPaperPoint(view, e);
+            return Math.hypot(Math.max(minX - x, 0, x - maxX), Math.max(minY - y, 0, y - maxY));
+        });
+        return distances.indexOf(Math.min(...distances));
+    }
+
+    // Snap radius in paper units for the current zoom
+    snapRadius(view) {
+        const matrix = view.getScreenCTM();
+        return INPUT_SNAP_RADIUS / Math.hypot(matrix.a, matrix.b);
+    }
+
+    // The paper direction that looks like the screen direction [dx, dy] in
+    // the first view
+    screenDirection(dx, dy) {
+        const [view] = this.views();
+        if (!view || !view.getCTM()) return [dx, dy];
+        const { a, b, c, d } = view.getCTM();
+        const det = a * d - b * c;
+        const x = (d * dx - c * dy) / det;
+        const y = (a * dy - b * dx) / det;
+        // Views only turn in quarter turns, so this is along an axis
+        const length = Math.hypot(x, y);
+        return [Math.round(x / length), Math.round(y / length)];
+    }
+
+    snap(point, radius) {
+        const graph = this.call('getGraph');
+        return graph ? FoldInput.snap(graph, point, radius, this.grid).point : point;
+    }
+
+    pointerDown(e) {
+        if (!this.enabled() || e.button !== 0 || !this.svg()) return;
+
+        this.container.setPointerCapture(e.pointerId);
+        this.container.focus({ preventScroll: true });
+        this.hideCursor();
+        // A drag stays in the view where it began
+        const view = this.viewAt(e);
+        this.drag = {
+            pointerId: e.pointerId,
+            client: [e.clientX, e.clientY],
+            view,
+            raw: this.toPaperPoint(this.views()[view], e),
+            start: null,
+            moved: false
+        };
+    }
+
+    pointerMove(e) {
+        if (!this.svg() || !this.enabled()) return;
+
+        const drag = this.drag;
+        if (drag && drag.pointerId === e.pointerId) {
+            const view = this.views()[drag.view] || this.views()[0];
+            if (!drag.moved && Math.hypot(e.clientX - drag.client[0], e.clientY - drag.client[1]) > INPUT_DRAG_THRESHOLD) {
+                drag.moved = true;
+                drag.start = this.snap(drag.raw, this.snapRadius(view));
+                this.start = null;
+                this.awaitingFlap = false;
+                this.ready = false;
+                this.call('onStart', drag.start);
+            }
+            if (drag.moved) this.drawTo(drag.start, this.snap(this.toPaperPoint(view, e), this.snapRadius(view)));
+        } else if (!drag && this.start && e.pointerType === 'mouse') {
+            // Show where the line would go from the first point
+            const view = this.views()[this.viewAt(e)];
+            this.drawTo(this.start, this.snap(this.toPaperPoint(view, e), this.snapRadius(view)));
+        }
+    }
+
+    pointerUp(e) {
+        const drag = this.drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        this.drag = null;
+        if (!this.svg() || !this.enabled()) return;
+
+        const view = this.views()[drag.view] || this.views()[0];
+        if (!drag.moved) {
+            this.press(drag.raw, this.snapRadius(view));
+            return;
+        }
+        const end = this.snap(this.toPaperPoint(view, e), this.snapRadius(view));
+        if (FoldInput.samePoint(drag.start, end)) {
+            // Dragged back to where it began: keep it as the first point
+            this.start = drag.start;
+            return;
+        }
+        this.finishLine(drag.start, end);
+    }
+
+    // A tap or click, or Space at the keyboard cursor: sets the first point,
+    // then the second, then picks the flap
+    press(raw, radius) {
+        if (this.awaitingFlap) {
+            if (this.call('onFlap', raw) !== false) this.awaitingFlap = false;
+            return;
+        }
+        const point = this.snap(raw, radius);
+        if (!this.start) {
+            this.start = point;
+            this.ready = false;
+            this.call('onStart', point);
+        } else if (FoldInput.samePoint(this.start, point)) {
+            this.call('onMessage', 'Points must be different. Select second point.');
+        } else {
+            this.finishLine(this.start, point);
+        }
+    }
+
+    finishLine(p1, p2) {
+        this.start = null;
+        this.awaitingFlap = true;
+        this.ready = true;
+        this.call('onLine', { p1, p2 });
+    }
+
+    drawTo(start, end) {
+        if (FoldInput.samePoint(start, end)) {
+            this.call('onStart', start);
+        } else {
+            this.call('onDraw', { p1: start, p2: end });
+        }
+    }
+
+    cancel() {
+        const hadLine = this.start || this.ready || this.drag;
+        this.reset();
+        if (hadLine) this.call('onCancel');
+    }
+
+    keyDown(e) {
+        if (!this.enabled()) return;
+
+        const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (steps[e.key]) {
+            e.preventDefault();
+            const step = this.grid.unit * (e.shiftKey ? 1 : INPUT_CURSOR_STEP);
+            // Arrows move the cursor on screen, whichever way the view is turned
+            const direction = this.screenDirection(...steps[e.key]);
+            const { minX, minY, maxX, maxY } = PuzzleManager.getBounds(this.call('getGraph').vertices_coords);
+            const clamp = (value, min, max) => Math.min(Math.max(value, min - step), max + step);
+            this.cursor = [
+                clamp(this.cursor[0] + direction[0] * step, minX, maxX),
+                clamp(this.cursor[1] + direction[1] * step, minY, maxY)
+            ];
+            this.cursorVisible = true;
+            if (this.start) this.drawTo(this.start, this.snap(this.cursor, 0));
+            this.drawCursor();
+            this.call('onCursor', this.cursor);
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (e.key === 'Enter' && this.ready) {
+            e.preventDefault();
+            this.call('onExecute');
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            this.cursorVisible = true;
+            this.press(this.cursor, 0);
+            this.drawCursor();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.cancel();
+        } else if ((key === 'v' || key === 'm') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.call('onFoldType', key === 'm' ? 'mountain' : 'valley');
+        }
+    }
+
+    // Draws the keyboard cursor on top of every view of the current SVG, once
+    // the keyboard has been used. Call after the SVG is re-rendered.
+    drawCursor() {
+        this.hideCursor();
+        if (!this.cursorVisible) return;
+
+        this.views().forEach(view => {
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('cx', this.cursor[0]);
+            marker.setAttribute('cy', this.cursor[1]);
+            marker.setAttribute('r', this.grid.unit * 0.08);
+            marker.setAttribute('aria-hidden', 'true');
+            marker.classList.add('input-cursor');
+            view.appendChild(marker);
+        });
+    }
+
+    hideCursor() {
+        this.container.querySelectorAll('.input-cursor').forEach(marker => marker.remove());
+    }
+
+    // The point a pointer at `point` means, as { point, kind }. Within `radius`
+    // it snaps to the nearest vertex, then edge midpoint, then crease (to a
+    // grid point on it when one is near); otherwise to the nearest grid point.
+    static snap(graph, point, radius, grid) {
+        const coords = graph.vertices_coords;
+        const distance = p => Math.hypot(p[0] - point[0], p[1] - point[1]);
+        const nearest = (points, kind) => {
+            let best = null;
+            points.forEach(p => {
+                if (distance(p) <= radius && (!best || distance(p) < distance(best))) best = p;
+            });
+            return best && { point: [best[0], best[1]], kind };
+        };
+
+        const edges = graph.edges_vertices || [];
+        const midpoints = edges.map(([u, v]) => [(coords[u][0] + coords[v][0]) / 2, (coords[u][1] + coords[v][1]) / 2]);
+        const gridPoint = p => [
+            grid.minX + Math.round((p[0] - grid.minX) / grid.unit) * grid.unit,
+            grid.minY + Math.round((p[1] - grid.minY) / grid.unit) * grid.unit
+        ];
+        const found = nearest(coords, 'vertex') || nearest(midpoints, 'midpoint');
+        if (found) return found;
+
+        // Nearest point on a mountain or valley crease
+        let crease = null;
+        edges.forEach(([u, v], i) => {
+            if (!['M', 'V'].includes((graph.edges_assignment || [])[i])) return;
+            const a = coords[u];
+            const b = coords[v];
+            const dx = b[0] - a[0];
+            const dy = b[1] - a[1];
+            const t = Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / (dx * dx + dy * dy)));
+            const p = [a[0] + t * dx, a[1] + t * dy];
+            if (distance(p) <= radius && (!crease || distance(p) < distance(crease.point))) {
+                crease = { point: p, a, b };
+            }
+        });
+        if (crease) {
+            const onGrid = gridPoint(crease.point);
+            const { a, b } = crease;
+            const cross = (b[0] - a[0]) * (onGrid[1] - a[1]) - (b[1] - a[1]) * (onGrid[0] - a[0]);
+            const onCrease = Math.abs(cross) / Math.hypot(b[0] - a[0], b[1] - a[1]) < INPUT_EPSILON;
+            return { point: onCrease && distance(onGrid) <= radius ? onGrid : crease.point, kind: 'crease' };
+        }
+
+        return { point: gridPoint(point), kind: 'grid' };
+    }
+
+    static samePoint(a, b) {
+        return Math.abs(a[0] - b[0]) < INPUT_EPSILON && Math.abs(a[1] - b[1]) < INPUT_EPSILON;
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * leaderboard.js
+ * Leaderboard clients: scores kept in localStorage or on an HTTP server
+ */
+
+// Entries kept per board, and listed by default
+const LEADERBOARD_KEEP = 100;
+const LEADERBOARD_LIMIT = 10;
+// Longest player name kept
+const LEADERBOARD_NAME_LENGTH = 24;
+
+// Thrown when a leaderboard refuses an entry or cannot be reached
+export class LeaderboardError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LeaderboardError';
+        this.status = status;
+    }
+}
+
+// The client interface. A board is named by a string such as a puzzle id,
+// "<id>/challenge" or "daily/2025-01-31"; entries are
+// { board, player, score, folds, time (ms), undos, hints, date (ISO string) }.
+// submit(entry) resolves to { rank, entry } with the entry's 1-based place
+// on its board (null when it did not make the kept entries), and
+// top(board, limit) to the best entries of a board, best first.
+export class Leaderboard {
+    async submit(entry) {
+        throw new Error(`${this.constructor.name} does not implement submit`);
+    }
+
+    async top(board, limit = LEADERBOARD_LIMIT) {
+        throw new Error(`${this.constructor.name} does not implement top`);
+    }
+
+    // A clean copy of an entry, dated now unless it has a date. Throws
+    // LeaderboardError when a field is missing or out of range.
+    static entry(data) {
+        if (data === null || typeof data !== 'object') throw new LeaderboardError('Entry must be an object');
+        if (typeof data.board !== 'string' || data.board === '') throw new LeaderboardError('Entry needs a board');
+        const player = String(data.player || '').trim().slice(0, LEADERBOARD_NAME_LENGTH);
+        if (player === '') throw new LeaderboardError('Entry needs a player name');
+        const entry = { board: data.board, player };
+        ['score', 'folds', 'time', 'undos', 'hints'].forEach(key => {
+            const value = data[key] === undefined && (key === 'undos' || key === 'hints') ? 0 : data[key];
+            if (!Number.isFinite(value) || value < 0) throw new LeaderboardError(`Entry ${key} must be a number, at least 0`);
+            entry[key] = value;
+        });
+        entry.date = typeof data.date === 'string' && !Number.isNaN(Date.parse(data.date))
+            ? data.date
+            : new Date().toISOString();
+        return entry;
+    }
+
+    // Best first: higher score, then less time, then earlier
+    static compare(a, b) {
+        return b.score - a.score || a.time - b.time || a.date.localeCompare(b.date);
+    }
+}
+
+// Scores kept in the browser's localStorage (or any object with getItem and
+// setItem), as { board: [entries, best first] }
+export class LocalLeaderboard extends Leaderboard {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null, key = 'origami-puzzles.leaderboard') {
+        super();
+        this.storage = storage;
+        this.key = key;
+    }
+
+    getAll() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.key)) || {};
+        } catch (error) {
+            console.error('LocalLeaderboard: Could not read scores', error);
+            return {};
+        }
+    }
+
+    async submit(data) {
+        const entry = Leaderboard.entry(data);
+        const all = this.getAll();
+        const board = [...(all[entry.board] || []), entry].sort(Leaderboard.compare).slice(0, LEADERBOARD_KEEP);
+        all[entry.board] = board;
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(all));
+            } catch (error) {
+                throw new LeaderboardError(`Could not save the score: ${error.message}`);
+            }
+        }
+        const index = board.indexOf(entry);
+        return { rank: index === -1 ? null : index + 1, entry };
+    }
+
+    async top(board, limit = LEADERBOARD_LIMIT) {
+        return (this.getAll()[board] || []).slice(0, limit);
+    }
+}
+
+// Scores kept by a server, for boards shared between players. The server
+// answers POST <baseUrl>/scores with a JSON entry by { rank, entry }, and
+// GET <baseUrl>/scores?board=<board>&limit=<n> by { entries }. Errors come
+// as { error } with a 4xx or 5xx status. tools/leaderboard-server.js is such
+// a server. options.fetch replaces the global fetch.
+export class HttpLeaderboard extends Leaderboard {
+    constructor(baseUrl, options = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    async submit(data) {
+        return this.request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Leaderboard.entry(data))
+        });
+    }
+
+    async top(board, limit = LEADERBOARD_LIMIT) {
+        const query = `board=${encodeURIComponent(board)}&limit=${limit}`;
+        const { entries } = await this.request(`/scores?${query}`, { method: 'GET' });
+        return entries;
+    }
+
+    // Sends a request and resolves to the JSON reply. Throws LeaderboardError
+    // when the server cannot be reached or answers with an error.
+    async request(path, init) {
+        let response;
+        try {
+            response = await this.fetch(this.baseUrl + path, init);
+        } catch (error) {
+            throw new LeaderboardError(`Could not reach the leaderboard at ${this.baseUrl}: ${error.message}`);
+        }
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            // An error page instead of JSON; the status tells what went wrong
+        }
+        if (!response.ok) {
+            throw new LeaderboardError((body && body.error) || `Leaderboard answered ${response.status}`, response.status);
+        }
+        if (!body) throw new LeaderboardError('Leaderboard sent no JSON');
+        return body;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * print.js
+ * Print layout of a puzzle sheet at true scale, for folding real paper
+ */
+
+import { PuzzleManager } from './puzzle.js';
+import { SvgRenderer } from './renderer.js';
+
+// Paper sizes in millimetres, portrait
+const PRINT_PAPERS = {
+    a4: { name: 'A4', width: 210, height: 297 },
+    letter: { name: 'Letter', width: 215.9, height: 279.4 }
+};
+// Blank border around the sheet, in millimetres; most printers need ~5 mm
+const PRINT_MARGIN = 15;
+// Line widths and dash patterns, in millimetres
+const PRINT_CUT_WIDTH = 0.3;
+const PRINT_CREASE_WIDTH = 0.35;
+const PRINT_VALLEY_DASH = [3, 1.5];
+const PRINT_MOUNTAIN_DASH = [3, 1, 0.6, 1];
+
+export class PrintSheet {
+    // Size and place of the sheet on the page, in millimetres: the largest
+    // whole number of millimetres per paper unit that fits inside the margins,
+    // centred. Centring keeps the two sides aligned when the back is mirrored.
+    static layout(sheet, paperName = 'a4') {
+        const paper = PRINT_PAPERS[paperName];
+        if (!paper) throw new Error(`Unknown paper "${paperName}", expected one of ${Object.keys(PRINT_PAPERS).join(', ')}`);
+
+        const unit = Math.floor(Math.min(
+            (paper.width - PRINT_MARGIN * 2) / sheet.width,
+            (paper.height - PRINT_MARGIN * 2) / sheet.height
+        ));
+        const width = sheet.width * unit;
+        const height = sheet.height * unit;
+        return {
+            paper,
+            unit,
+            width,
+            height,
+            x: +((paper.width - width) / 2).toFixed(2),
+            y: +((paper.height - height) / 2).toFixed(2)
+        };
+    }
+
+    // One printed side as SVG markup sized in millimetres. The front is the
+    // sheet as the puzzle shows it; the back is the sheet seen from below,
+    // mirrored left to right so it lines up when printed double-sided and
+    // flipped on the long edge. Puzzles without back classes or a back
+    // picture get a solid colour back. Creases (a graph from
+    // SvgRenderer.creasePattern) are drawn as mountain dash-dot and valley
+    // dash lines, seen from that side: a mountain on the front is a valley on
+    // the back. `hrefs` are the imageHref and backImageHref links to use.
+    static side(puzzleManager, layout, side, creases = null, hrefs = {}) {
+        const initial = puzzleManager.getInitialState();
+        const graph = JSON.parse(JSON.stringify(creases || SvgRenderer.creasePattern(initial)));
+        const sheet = PuzzleManager.getBounds(graph.vertices_coords);
+
+        if (side === 'back') {
+            if (PrintSheet.plainBack(puzzleManager)) graph.faces_back_classes = graph.faces_classes.map(() => 'color');
+            graph.edges_assignment = graph.edges_assignment.map(a => ({ M: 'V', V: 'M' }[a] || a));
+        }
+        // Only the outline (to cut along) and the fold creases are printed
+        if (!creases) graph.edges_assignment = graph.edges_assignment.map(a => (a === 'B' ? a : 'F'));
+
+        const svg = SvgRenderer.describe(graph, puzzleManager, null, { side: side === 'back' ? 'bottom' : 'top' });
+        const faces = svg.children[1];
+        faces.children = faces.children.filter(child =>
+            child.name !== 'line' || child.classes.includes('B') || child.classes.includes('M') || child.classes.includes('V'));
+        // Inline SVG in HTML needs no namespace declarations
+        Object.assign(svg.attributes, {
+            viewBox: `${sheet.minX} ${sheet.minY} ${sheet.width} ${sheet.height}`,
+            width: `${layout.width}mm`,
+            height: `${layout.height}mm`,
+            style: `left: ${layout.x}mm; top: ${layout.y}mm`
+        });
+
+        // Paper units to millimetres
+        const mm = value => +(value / layout.unit).toFixed(4);
+        const styles = [
+            [['image'], 'fill: #bb86fc; stroke: none'],
+            [['color'], 'fill: #03dac6; stroke: none'],
+            [['crease'], `fill: none; stroke: #000; stroke-width: ${mm(PRINT_CUT_WIDTH)}`],
+            [['crease', 'V'], `stroke-width: ${mm(PRINT_CREASE_WIDTH)}; stroke-dasharray: ${PRINT_VALLEY_DASH.map(mm).join(' ')}`],
+            [['crease', 'M'], `stroke-width: ${mm(PRINT_CREASE_WIDTH)}; stroke-dasharray: ${PRINT_MOUNTAIN_DASH.map(mm).join(' ')}`]
+        ];
+        return SvgRenderer.serialize(svg, { styles, imageHref: hrefs.imageHref, backImageHref: hrefs.backImageHref }, '        ');
+    }
+
+    // Whether the back of the sheet is printed as solid colour: the puzzle
+    // gives its faces no back classes and has no back picture
+    static plainBack(puzzleManager) {
+        return !puzzleManager.puzzleData.faces_back_classes && !puzzleManager.getBackImageUrl();
+    }
+
+    // A printable HTML document: the front on page 1 and the back on page 2,
+    // at true scale. options: paper ('a4' or 'letter'), folds (whose creases
+    // are drawn, e.g. a solution; none by default), imageHref and
+    // backImageHref (the picture links to use, such as data: URLs), autoPrint
+    // (open the print dialog once loaded).
+    static toHtml(puzzleManager, options = {}) {
+        const initial = puzzleManager.getInitialState();
+        const folds = options.folds || [];
+        const layout = PrintSheet.layout(PuzzleManager.getBounds(initial.vertices_coords), options.paper);
+
+        let creases = null;
+        if (folds.length > 0) {
+            const graph = JSON.parse(JSON.stringify(initial));
+            folds.forEach(fold => PuzzleManager.foldGraph(graph, fold.line, fold.type));
+            creases = SvgRenderer.creasePattern(graph);
+        }
+
+        const name = puzzleManager.puzzleData.name || 'Puzzle';
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        const { paper } = layout;
+        const legend = creases ? ' Mountain folds are dash-dot lines, valley folds dashed.' : '';
+        const page = (side, caption) => `    <div class="page">
+        <p>${escape(name)}: ${caption}</p>
+${PrintSheet.side(puzzleManager, layout, side, creases, options)}
+    </div>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(name)} (print)</title>
+    <style>
+        @page { size: ${paper.width}mm ${paper.height}mm; margin: 0; }
+        body { margin: 0; }
+        .page { position: relative; width: ${paper.width}mm; height: ${paper.height}mm; overflow: hidden; page-break-after: always; }
+        .page p { position: absolute; left: ${PRINT_MARGIN}mm; right: ${PRINT_MARGIN}mm; top: ${PRINT_MARGIN / 3}mm; margin: 0; font: 9pt sans-serif; }
+        .page svg { position: absolute; }
+    </style>
+</head>
+<body>
+${page('front', `front. Print on ${paper.name} at actual size (100%), double-sided, flipping on the long edge. ` +
+        `Cut along the solid outline.${legend}`)}
+${page('back', `back${PrintSheet.plainBack(puzzleManager) ? ' (colour side)' : ''}.${legend}`)}
+${options.autoPrint ? '    <script>window.addEventListener(\'load\', () => window.print());</script>\n' : ''}</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * progress.js
+ * Persists per-puzzle progress in localStorage
+ */
+
+export class ProgressStore {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null, key = 'origami-puzzles.progress') {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    getAll() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.key)) || {};
+        } catch (error) {
+            console.error('ProgressStore: Could not read progress', error);
+            return {};
+        }
+    }
+
+    // Progress of one puzzle:
+    // { solved, bestFolds, bestTime (ms), fewestHints, bestScore,
+    //   inProgress: { folds, elapsed, hints, undos } | null }
+    get(puzzleId) {
+        return {
+            solved: false,
+            bestFolds: null,
+            bestTime: null,
+            fewestHints: null,
+            bestScore: null,
+            inProgress: null,
+            ...this.getAll()[puzzleId]
+        };
+    }
+
+    update(puzzleId, changes) {
+        const all = this.getAll();
+        all[puzzleId] = { ...this.get(puzzleId), ...changes };
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(all));
+            } catch (error) {
+                console.error('ProgressStore: Could not save progress', error);
+            }
+        }
+        return all[puzzleId];
+    }
+
+    // Remembers the folds of an unfinished attempt, and the hints and undos
+    // it used, so it can be resumed
+    saveInProgress(puzzleId, folds, elapsed, hints = 0, undos = 0) {
+        return this.update(puzzleId, {
+            inProgress: folds.length > 0 || hints > 0 || undos > 0 ? { folds, elapsed, hints, undos } : null
+        });
+    }
+
+    // `score` is the Scoring.score of the solve, or null when it has none
+    recordSolve(puzzleId, foldCount, time, hints = 0, score = null) {
+        const progress = this.get(puzzleId);
+        return this.update(puzzleId, {
+            solved: true,
+            bestFolds: progress.bestFolds === null ? foldCount : Math.min(progress.bestFolds, foldCount),
+            bestTime: progress.bestTime === null ? time : Math.min(progress.bestTime, time),
+            fewestHints: progress.fewestHints === null ? hints : Math.min(progress.fewestHints, hints),
+            bestScore: score === null || (progress.bestScore !== null && progress.bestScore >= score) ? progress.bestScore : score,
+            inProgress: null
+        });
+    }
+}
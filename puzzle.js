@@ -3,13 +3,34 @@
  * Manages puzzle data and state using FOLD format
  */
 
-class PuzzleManager {
+import { PuzzleSchema, PuzzleLoadError } from './schema.js';
+
+// Distance below which a point is considered to lie on a fold line
+const FOLD_EPSILON = 1e-6;
+// Allowed difference between the folded size and the target size
+const VALIDATION_TOLERANCE = 1e-3;
+// Number of samples along the longer side of the folded square when validating
+const VALIDATION_RESOLUTION = 16;
+// Where sample and probe points sit in their grid cell, as fractions of the
+// cell [x, y]: nudged off centre so they never lie exactly on a grid line or
+// a diagonal crease. Validation, the solver and the editor all place points so.
+const SAMPLE_OFFSET = [0.5137, 0.4929];
+// Colour of the "color" face class unless the puzzle's palette changes it
+const DEFAULT_FACE_COLOR = '#03dac6';
+
+export class PuzzleManager {
     constructor() {
         this.puzzleData = null;
         this.initialState = null;
     }
 
+    // Throws a PuzzleLoadError listing every problem if the data is not a valid puzzle
     loadPuzzle(data) {
+        const problems = PuzzleSchema.validate(data);
+        if (problems.length > 0) {
+            throw new PuzzleLoadError(problems);
+        }
+
         this.puzzleData = data;
         console.log('Puzzle loaded:', this.puzzleData.name);
 
@@ -19,17 +40,24 @@ class PuzzleManager {
             vertices_coords: JSON.parse(JSON.stringify(this.puzzleData.vertices_coords)),
             faces_vertices: JSON.parse(JSON.stringify(this.puzzleData.faces_vertices)),
             faces_classes: JSON.parse(JSON.stringify(this.puzzleData.faces_classes)),
-            // We might need to track Z-order or face normals for "image" vs "color" check
-            // For now, let's assume faces_classes tracks the *logical* side.
-            // But we need to know if a face is flipped.
+            // faces_classes tracks the *logical* side, faces_flipped whether its back faces up
             faces_flipped: new Array(this.puzzleData.faces_vertices.length).fill(false),
+            // Stacking order (0 = bottom). The flat sheet has no overlaps, so any order works.
+            faces_layer: this.puzzleData.faces_vertices.map((_, i) => i),
+            // Unfolded position of every vertex, used to map textures onto folded faces
+            vertices_origin: JSON.parse(JSON.stringify(this.puzzleData.vertices_coords)),
             edges_vertices: [],
             edges_assignment: []
         };
+        // Classes of the backs of the faces, when they differ from the fronts
+        if (this.puzzleData.faces_back_classes) {
+            this.initialState.faces_back_classes = this.puzzleData.faces_back_classes.slice();
+        }
 
         // Generate edges if not present
         if (!this.puzzleData.edges_vertices) {
             const edgesMap = new Map();
+            const edgesFaceCount = new Map();
             this.initialState.faces_vertices.forEach(face => {
                 for (let i = 0; i < face.length; i++) {
                     const u = face[i];
@@ -38,10 +66,13 @@ class PuzzleManager {
                     if (!edgesMap.has(key)) {
                         edgesMap.set(key, [u, v]);
                     }
+                    edgesFaceCount.set(key, (edgesFaceCount.get(key) || 0) + 1);
                 }
             });
             this.initialState.edges_vertices = Array.from(edgesMap.values());
-            this.initialState.edges_assignment = new Array(this.initialState.edges_vertices.length).fill('B');
+            // Edges shared by two faces are flat (unfolded) creases, the rest are boundary
+            this.initialState.edges_assignment = Array.from(edgesFaceCount.values())
+                .map(count => (count > 1 ? 'F' : 'B'));
         } else {
             this.initialState.edges_vertices = JSON.parse(JSON.stringify(this.puzzleData.edges_vertices));
             this.initialState.edges_assignment = JSON.parse(JSON.stringify(this.puzzleData.edges_assignment || []));
@@ -52,147 +83,868 @@ class PuzzleManager {
         return this.initialState;
     }
 
-    resetGrid() {
-        // No-op or reset internal state if needed
-        // The FoldingEngine handles the state reset by reloading initial state
+    // Helper to perform the geometric fold on a FOLD object
+    // Faces crossed by the fold line are split first, so every face lies
+    // entirely on one side of the line before anything moves.
+    static foldGraph(graph, line, type) {
+        // 1. Split crossed edges and faces along the line, and identify faces to move
+        const facesToMove = PuzzleManager.prepareFold(graph, line, type);
+        return PuzzleManager.moveFaces(graph, facesToMove, line, type);
     }
 
-    // Update logical state based on a fold
-    // line: { p1: [x, y], p2: [x, y] }
-    // type: 'valley' or 'mountain'
-    applyFold(line, type) {
-        // This method updates the state passed to it? 
-        // Actually, FoldingEngine manages the state (this.graph).
-        // But in the previous architecture, PuzzleManager managed 'cells'.
-        // Now FoldingEngine manages the FOLD object.
-        // So this method should probably be static or operate on the graph passed to it?
-        // Or FoldingEngine calls this to *calculate* the new state.
+    // Turns the faces of a prepared graph (see prepareFold) over the fold line
+    static moveFaces(graph, facesToMove, line, type) {
+        const { nx, ny, signedDistance } = PuzzleManager.lineFrame(line);
 
-        // Let's change the contract: FoldingEngine calls this with the CURRENT graph,
-        // and this method returns the NEW graph (or modifies it in place).
+        // 2. Assign the crease: every edge on the line that now hinges a moving
+        // face against a stationary one becomes a mountain or valley
+        PuzzleManager.assignCreases(graph, facesToMove, signedDistance, type);
 
-        // However, to keep it simple and compatible with existing calls (if any),
-        // let's assume FoldingEngine handles the state and calls this to update it.
-        // But wait, FoldingEngine.executeFold calls this.puzzleManager.applyFold(foldLine, foldType).
-        // And previously it updated this.cells.
+        // 3. Move vertices
+        const verticesToMove = new Set();
+        facesToMove.forEach(i => graph.faces_vertices[i].forEach(v => verticesToMove.add(v)));
+        verticesToMove.forEach(i => {
+            const v = graph.vertices_coords[i];
+            const dist = signedDistance(v);
+            // Reflect: P' = P - 2 * dist * N
+            v[0] -= 2 * dist * nx;
+            v[1] -= 2 * dist * ny;
+        });
 
-        // We need to change how state is stored.
-        // Let's store the current state in PuzzleManager too?
-        // Or better: FoldingEngine owns the state (graph), and asks PuzzleManager to compute the fold.
+        // 4. Update face orientations (flipped state)
+        facesToMove.forEach(i => {
+            graph.faces_flipped[i] = !graph.faces_flipped[i];
+        });
 
-        // But for now, let's stick to the pattern: PuzzleManager owns the "logic" of the puzzle.
-        // But the state is the FOLD object.
+        // 5. Update the layer order
+        PuzzleManager.restackLayers(graph, facesToMove, type);
 
-        // Let's assume FoldingEngine passes the graph to be folded?
-        // No, FoldingEngine.executeFold calls this.puzzleManager.applyFold.
-        // So PuzzleManager must have the state.
-        // But in the new design, FoldingEngine has 'this.graph'.
+        return graph;
+    }
 
-        // Let's update PuzzleManager to NOT hold state, but provide a method `fold(graph, line, type)`
-        // And update FoldingEngine to use it.
-        // BUT, I need to update PuzzleManager first.
+    // Splits the graph along the fold line and returns the set of faces that
+    // the fold moves, without moving anything yet.
+    // With a selected flap (line.flap, a point on it), only the faces connected to it
+    // move; otherwise we fold the whole "active" side (the positive side of the line).
+    static prepareFold(graph, line, type) {
+        const { signedDistance } = PuzzleManager.lineFrame(line);
 
-        // Let's keep `this.currentState` in PuzzleManager for now to minimize friction,
-        // but really it should be stateless logic.
+        if (!graph.faces_flipped) {
+            graph.faces_flipped = new Array(graph.faces_vertices.length).fill(false);
+        }
+        if (!graph.faces_layer) {
+            graph.faces_layer = graph.faces_vertices.map((_, i) => i);
+        }
+        // Texture coordinates live on the unfolded paper, so an unfolded graph is its own origin
+        if (!graph.vertices_origin) {
+            graph.vertices_origin = graph.vertices_coords.map(v => [v[0], v[1]]);
+        }
+
+        PuzzleManager.splitGraph(graph, signedDistance);
 
-        // Actually, the previous implementation had `this.cells` in PuzzleManager.
-        // Let's replace `this.cells` with `this.currentFold` (the FOLD object).
+        const seed = line.flap ? PuzzleManager.faceAt(graph, line.flap) : -1;
+        if (seed !== -1 && PuzzleManager.faceSide(graph, graph.faces_vertices[seed], signedDistance) !== 0) {
+            return PuzzleManager.selectFlap(graph, seed, signedDistance, type);
+        }
+        return new Set(graph.faces_vertices
+            .map((_, i) => i)
+            .filter(i => PuzzleManager.faceSide(graph, graph.faces_vertices[i], signedDistance) > 0));
     }
 
-    // Helper to perform the geometric fold on a FOLD object
-    // This is a simplified implementation of folding logic.
-    static foldGraph(graph, line, type) {
-        const p1 = { x: line.p1[0], y: line.p1[1] };
-        const p2 = { x: line.p2[0], y: line.p2[1] };
-        const dx = p2.x - p1.x;
-        const dy = p2.y - p1.y;
+    // The faces a fold would move, as polygons in current coordinates.
+    // Works on a copy, so the graph itself is left untouched.
+    static movingPolygons(graph, line, type) {
+        const split = JSON.parse(JSON.stringify(graph));
+        const facesToMove = PuzzleManager.prepareFold(split, line, type);
+        return [...facesToMove].map(i => split.faces_vertices[i].map(v => split.vertices_coords[v]));
+    }
+
+    // Checks a fold against the rules of real paper before it is made:
+    //   misses    the line must cross the paper, leaving some of it in place
+    //   partial   the drawn line must run all the way across the paper that moves
+    //   pinned    the moving layers must not pass through stationary layers
+    //             that earlier creases hold across or around the fold line
+    //   not-flat  the folded paper must lie flat, without the moving layers
+    //             crossing each other at the new crease
+    // Returns { legal, reason, message, graph }: reason and message say what is
+    // wrong with an illegal fold, and graph is the folded copy of a legal one.
+    // The graph itself is left untouched.
+    static checkFold(graph, line, type) {
+        const { nx, ny, signedDistance } = PuzzleManager.lineFrame(line);
+        const illegal = (reason, message) => ({ legal: false, reason, message, graph: null });
+        const folded = JSON.parse(JSON.stringify(graph));
+        const facesToMove = PuzzleManager.prepareFold(folded, line, type);
+        if (facesToMove.size === 0 || facesToMove.size === folded.faces_vertices.length) {
+            return illegal('misses', 'the fold line does not cross the paper');
+        }
+
+        // Position along the line, growing from p1 towards p2
+        const along = v => v[0] * ny - v[1] * nx;
+        const moves = edge => edge.faces.some(f => facesToMove.has(f));
+        const before = PuzzleManager.lineEdges(folded, signedDistance, along);
+        const [start, end] = [along(line.p1), along(line.p2)];
+        if (before.some(edge => moves(edge) && (edge.from < start - FOLD_EPSILON || edge.to > end + FOLD_EPSILON))) {
+            return illegal('partial', 'the fold line must run all the way across the paper that moves');
+        }
+
+        PuzzleManager.moveFaces(folded, facesToMove, line, type);
+
+        // Every crease along the line, and every layer lying flat across it,
+        // as they stack after the fold. Layers are only compared on the same
+        // side of the line, where they overlap.
+        const layers = folded.faces_layer;
+        const sideOf = f => PuzzleManager.faceSide(folded, folded.faces_vertices[f], signedDistance);
+        const creases = PuzzleManager.lineEdges(folded, signedDistance, along)
+            .filter(edge => edge.faces.length === 2)
+            .map(edge => {
+                const [f, g] = edge.faces;
+                const side = sideOf(f);
+                if (side === sideOf(g)) {
+                    return { ...edge, side, lo: Math.min(layers[f], layers[g]), hi: Math.max(layers[f], layers[g]) };
+                }
+                return { ...edge, at: { [side]: layers[f], [-side]: layers[g] } };
+            });
+        // Two creases on the same side may nest or lie apart but not interleave,
+        // a layer across the line may not come between the two layers of a
+        // crease, and two layers across it keep their order on both sides
+        const crossing = (a, b) => {
+            if (a.at && b.at) return (a.at[1] - b.at[1]) * (a.at[-1] - b.at[-1]) < 0;
+            if (a.at) return crossing(b, a);
+            if (b.at) return a.lo < b.at[a.side] && b.at[a.side] < a.hi;
+            return a.side === b.side && ((a.lo < b.lo && b.lo < a.hi && a.hi < b.hi) ||
+                (b.lo < a.lo && a.lo < b.hi && b.hi < a.hi));
+        };
+        const overlap = (a, b) => Math.min(a.to, b.to) - Math.max(a.from, b.from) > FOLD_EPSILON;
+        const crossed = creases.filter(moves).map(a => creases.filter(b => b !== a && overlap(a, b) && crossing(a, b)));
+        if (crossed.some(others => others.some(b => !moves(b)))) {
+            return illegal('pinned', 'the flap would pass through layers held in place by an earlier crease');
+        }
+        if (crossed.some(others => others.length > 0)) {
+            return illegal('not-flat', 'the folded layers would cross each other at the crease');
+        }
+        return { legal: true, reason: null, message: null, graph: folded };
+    }
+
+    // The face edges lying on a line, as { faces, from, to }: the faces that
+    // share the edge and where it starts and ends along the line
+    static lineEdges(graph, signedDistance, along) {
+        const coords = graph.vertices_coords;
+        const onLine = v => Math.abs(signedDistance(coords[v])) <= FOLD_EPSILON;
+        const edges = new Map();
+        graph.faces_vertices.forEach((face, i) => {
+            face.forEach((u, j) => {
+                const v = face[(j + 1) % face.length];
+                if (!onLine(u) || !onLine(v)) return;
+                const key = u < v ? `${u},${v}` : `${v},${u}`;
+                if (!edges.has(key)) {
+                    const [from, to] = [along(coords[u]), along(coords[v])].sort((a, b) => a - b);
+                    edges.set(key, { faces: [], from, to });
+                }
+                edges.get(key).faces.push(i);
+            });
+        });
+        return [...edges.values()];
+    }
+
+    // Turning the moving flap over reverses its internal stacking order.
+    // A valley fold lays it on top of the stationary layers, a mountain fold
+    // tucks it underneath them.
+    static restackLayers(graph, facesToMove, type) {
+        // Split faces share their parent's layer until now; ties keep index order
+        const order = graph.faces_vertices
+            .map((_, i) => i)
+            .sort((a, b) => graph.faces_layer[a] - graph.faces_layer[b] || a - b);
+
+        const stationary = order.filter(i => !facesToMove.has(i));
+        const moving = order.filter(i => facesToMove.has(i)).reverse();
+        const stacked = type === 'mountain'
+            ? [...moving, ...stationary]
+            : [...stationary, ...moving];
+
+        stacked.forEach((face, layer) => {
+            graph.faces_layer[face] = layer;
+        });
+        return graph;
+    }
+
+    // FOLD-spec faceOrders for every pair of overlapping faces: [f, g, s] where
+    // s = +1 means f lies on the side of g that g's normal points to.
+    // A face's normal points towards the viewer unless the face is flipped.
+    static computeFaceOrders(graph) {
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        const faceOrders = [];
+
+        for (let f = 0; f < polygons.length; f++) {
+            for (let g = f + 1; g < polygons.length; g++) {
+                if (!PuzzleManager.polygonsOverlap(polygons[f], polygons[g])) continue;
+                const above = graph.faces_layer[f] > graph.faces_layer[g] ? 1 : -1;
+                faceOrders.push([f, g, graph.faces_flipped[g] ? -above : above]);
+            }
+        }
+        return faceOrders;
+    }
+
+    // Separating axis test for two convex polygons. Polygons that only touch
+    // along an edge or at a corner do not overlap.
+    static polygonsOverlap(a, b) {
+        for (const polygon of [a, b]) {
+            for (let i = 0; i < polygon.length; i++) {
+                const p = polygon[i];
+                const q = polygon[(i + 1) % polygon.length];
+                const axis = [p[1] - q[1], q[0] - p[0]];
+
+                const project = points => points.map(pt => pt[0] * axis[0] + pt[1] * axis[1]);
+                const pa = project(a);
+                const pb = project(b);
+                if (Math.max(...pa) <= Math.min(...pb) + FOLD_EPSILON ||
+                    Math.max(...pb) <= Math.min(...pa) + FOLD_EPSILON) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // Unit normal of a fold line and the signed distance of a point from it.
+    // The positive side is to the right when walking from p1 to p2 on screen (y pointing down).
+    static lineFrame(line) {
+        const dx = line.p2[0] - line.p1[0];
+        const dy = line.p2[1] - line.p1[1];
         const len = Math.sqrt(dx * dx + dy * dy);
         const nx = -dy / len;
         const ny = dx / len;
-        const d = p1.x * nx + p1.y * ny;
+        const d = line.p1[0] * nx + line.p1[1] * ny;
+        return { nx, ny, signedDistance: v => v[0] * nx + v[1] * ny - d };
+    }
 
-        // We need to determine which faces move.
-        // In a real origami simulator, we find the connected component of the dual graph.
-        // Here, let's assume we fold the "active" side (e.g. positive side of line).
+    // Mirror image of a point across the fold line
+    static reflectPoint(point, line) {
+        const { nx, ny, signedDistance } = PuzzleManager.lineFrame(line);
+        const dist = signedDistance(point);
+        return [point[0] - 2 * dist * nx, point[1] - 2 * dist * ny];
+    }
 
-        // 1. Identify vertices to move
-        const verticesToMove = new Set();
-        graph.vertices_coords.forEach((v, i) => {
-            const dist = v[0] * nx + v[1] * ny - d;
-            if (dist > 0.001) { // Epsilon
-                verticesToMove.add(i);
+    // The part of the line through `point` along `direction` that lies inside the bounds
+    static clipLine(point, direction, bounds) {
+        let tMin = -Infinity;
+        let tMax = Infinity;
+        [[0, bounds.minX, bounds.maxX], [1, bounds.minY, bounds.maxY]].forEach(([k, min, max]) => {
+            const t1 = (min - point[k]) / direction[k];
+            const t2 = (max - point[k]) / direction[k];
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        });
+        if (tMax - tMin < FOLD_EPSILON) return null;
+
+        const at = t => [point[0] + direction[0] * t, point[1] + direction[1] * t];
+        return { p1: at(tMin), p2: at(tMax) };
+    }
+
+    // Splits every edge and face of the graph that the line crosses.
+    // New vertices get their origin (unfolded) position interpolated along the
+    // crossed edge, and child faces inherit all per-face data of their parent.
+    static splitGraph(graph, signedDistance) {
+        const coords = graph.vertices_coords;
+        const origin = graph.vertices_origin;
+        const dist = coords.map(signedDistance);
+        const side = dist.map(s => (s > FOLD_EPSILON ? 1 : s < -FOLD_EPSILON ? -1 : 0));
+        const edgeKey = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+
+        // One new vertex per crossed edge, shared by both faces of that edge
+        const splitVertices = new Map();
+        const splitVertexOf = (u, v) => {
+            const key = edgeKey(u, v);
+            if (!splitVertices.has(key)) {
+                const t = dist[u] / (dist[u] - dist[v]);
+                const lerp = (a, b) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+                coords.push(lerp(coords[u], coords[v]));
+                origin.push(lerp(origin[u], origin[v]));
+                dist.push(0);
+                side.push(0);
+                splitVertices.set(key, coords.length - 1);
+            }
+            return splitVertices.get(key);
+        };
+
+        const faceKeys = Object.keys(graph).filter(key => key.startsWith('faces_') && key !== 'faces_vertices');
+        const faceCount = graph.faces_vertices.length;
+
+        for (let i = 0; i < faceCount; i++) {
+            const face = graph.faces_vertices[i];
+            const ring = [];
+            face.forEach((u, j) => {
+                const v = face[(j + 1) % face.length];
+                ring.push(u);
+                if (side[u] * side[v] < 0) {
+                    ring.push(splitVertexOf(u, v));
+                }
+            });
+            graph.faces_vertices[i] = ring;
+
+            if (!ring.some(v => side[v] > 0) || !ring.some(v => side[v] < 0)) continue;
+
+            // Faces are convex, so each side of the line is one contiguous chain
+            // bounded by the two vertices that lie on the line.
+            graph.faces_vertices[i] = ring.filter(v => side[v] >= 0);
+            graph.faces_vertices.push(ring.filter(v => side[v] <= 0));
+            faceKeys.forEach(key => graph[key].push(graph[key][i]));
+
+            graph.edges_vertices.push(ring.filter(v => side[v] === 0));
+            graph.edges_assignment.push('F');
+        }
+
+        // Replace every crossed edge by its two halves
+        const edgeCount = graph.edges_vertices.length;
+        for (let i = 0; i < edgeCount; i++) {
+            const [u, v] = graph.edges_vertices[i];
+            const w = splitVertices.get(edgeKey(u, v));
+            if (w === undefined) continue;
+            graph.edges_vertices[i] = [u, w];
+            graph.edges_vertices.push([w, v]);
+            graph.edges_assignment.push(graph.edges_assignment[i]);
+        }
+
+        return graph;
+    }
+
+    // Faces that move when the flap containing `seed` is folded: the seed's
+    // connected component in the dual graph (without crossing the fold line),
+    // plus every layer it would carry along. A valley fold lifts the flap
+    // together with everything stacked on it; a mountain fold pushes it back
+    // together with everything underneath it.
+    static selectFlap(graph, seed, signedDistance, type) {
+        const side = PuzzleManager.faceSide(graph, graph.faces_vertices[seed], signedDistance);
+        const layers = graph.faces_layer || graph.faces_vertices.map((_, i) => i);
+        const sameSide = graph.faces_vertices
+            .map((_, i) => i)
+            .filter(i => PuzzleManager.faceSide(graph, graph.faces_vertices[i], signedDistance) === side);
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        const adjacency = PuzzleManager.faceAdjacency(graph);
+
+        const moving = new Set();
+        const addComponent = start => {
+            PuzzleManager.flapComponent(graph, start, signedDistance, adjacency).forEach(f => moving.add(f));
+        };
+        addComponent(seed);
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const g of sameSide) {
+                if (moving.has(g)) continue;
+                const carried = [...moving].some(f =>
+                    (type === 'mountain' ? layers[g] < layers[f] : layers[g] > layers[f]) &&
+                    PuzzleManager.polygonsOverlap(polygons[f], polygons[g]));
+                if (carried) {
+                    addComponent(g);
+                    changed = true;
+                }
             }
+        }
+        return moving;
+    }
+
+    // The faces reachable from `seed` through the dual graph without crossing the fold line
+    static flapComponent(graph, seed, signedDistance, adjacency = PuzzleManager.faceAdjacency(graph)) {
+        const onLine = v => Math.abs(signedDistance(graph.vertices_coords[v])) <= FOLD_EPSILON;
+        const component = new Set([seed]);
+        const queue = [seed];
+        while (queue.length > 0) {
+            const f = queue.shift();
+            adjacency[f].forEach(({ face, edge }) => {
+                // Edges on the fold line are the hinge, not a connection
+                if (component.has(face) || (onLine(edge[0]) && onLine(edge[1]))) return;
+                component.add(face);
+                queue.push(face);
+            });
+        }
+        return component;
+    }
+
+    // Dual graph: for every face, the faces sharing an edge with it
+    static faceAdjacency(graph) {
+        const edgeKey = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+        const edgesFaces = new Map();
+        graph.faces_vertices.forEach((face, i) => {
+            face.forEach((u, j) => {
+                const key = edgeKey(u, face[(j + 1) % face.length]);
+                if (!edgesFaces.has(key)) edgesFaces.set(key, []);
+                edgesFaces.get(key).push(i);
+            });
         });
 
-        // 2. Move vertices
-        verticesToMove.forEach(i => {
-            const v = graph.vertices_coords[i];
-            const dist = v[0] * nx + v[1] * ny - d;
-            // Reflect: P' = P - 2 * dist * N
-            v[0] -= 2 * dist * nx;
-            v[1] -= 2 * dist * ny;
+        const adjacency = graph.faces_vertices.map(() => []);
+        edgesFaces.forEach((faces, key) => {
+            const edge = key.split(',').map(Number);
+            faces.forEach(f => faces.forEach(g => {
+                if (f !== g) adjacency[f].push({ face: g, edge });
+            }));
         });
+        return adjacency;
+    }
 
-        // 3. Update face orientations (flipped state)
-        // If a face has all vertices moved, it is flipped.
-        // If some moved, the face is split (which we don't handle yet! We assume fold is on edges or splits faces perfectly?)
-        // Wait, if we fold *across* a face, we must split it.
-        // The current FOLD format I created has pre-split faces (triangles).
-        // So if the fold line matches the diagonal, we are good.
-        // If the user folds somewhere else, we might have issues.
-        // For this POC, let's assume the user folds along existing edges or we don't split.
-        // OR, we just move vertices and if a face gets distorted, so be it (it will look weird).
+    // Topmost face containing the point, or -1 if the point is off the paper
+    static faceAt(graph, point) {
+        const layers = graph.faces_layer || graph.faces_vertices.map((_, i) => i);
+        let top = -1;
+        graph.faces_vertices.forEach((face, i) => {
+            const polygon = face.map(v => graph.vertices_coords[v]);
+            if (PuzzleManager.pointInPolygon(point, polygon) && (top === -1 || layers[i] > layers[top])) {
+                top = i;
+            }
+        });
+        return top;
+    }
 
-        // Let's assume we fold along valid lines.
+    // Ray casting point-in-polygon test
+    static pointInPolygon(point, polygon) {
+        const [x, y] = point;
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
 
-        if (!graph.faces_flipped) {
-            graph.faces_flipped = new Array(graph.faces_vertices.length).fill(false);
+    // Which side of the line a face lies on: 1, -1, or 0 if it lies on the line
+    static faceSide(graph, face, signedDistance) {
+        for (const v of face) {
+            const dist = signedDistance(graph.vertices_coords[v]);
+            if (dist > FOLD_EPSILON) return 1;
+            if (dist < -FOLD_EPSILON) return -1;
         }
+        return 0;
+    }
 
+    // Marks the edges along the fold line that separate moving from stationary faces.
+    // Assignments are stored relative to the front of the paper, so a valley fold
+    // made while the stationary face shows its back is a mountain crease.
+    static assignCreases(graph, facesToMove, signedDistance, type) {
+        const edgeKey = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+        const edgesFaces = new Map();
         graph.faces_vertices.forEach((face, i) => {
-            // Check if all vertices of this face moved
-            const allMoved = face.every(v => verticesToMove.has(v));
-            if (allMoved) {
-                graph.faces_flipped[i] = !graph.faces_flipped[i];
+            face.forEach((u, j) => {
+                const key = edgeKey(u, face[(j + 1) % face.length]);
+                if (!edgesFaces.has(key)) edgesFaces.set(key, []);
+                edgesFaces.get(key).push(i);
+            });
+        });
+
+        const onLine = v => Math.abs(signedDistance(graph.vertices_coords[v])) <= FOLD_EPSILON;
+
+        graph.edges_vertices.forEach(([u, v], i) => {
+            if (!onLine(u) || !onLine(v)) return;
+            const faces = edgesFaces.get(edgeKey(u, v)) || [];
+            const moving = faces.filter(f => facesToMove.has(f));
+            const stationary = faces.filter(f => !facesToMove.has(f));
+            if (moving.length === 0 || stationary.length === 0) return;
+
+            const valley = (type !== 'mountain') !== Boolean(graph.faces_flipped[stationary[0]]);
+            graph.edges_assignment[i] = valley ? 'V' : 'M';
+        });
+    }
+
+    // The goal the folded state is checked against, read from the puzzle's
+    // "goal" entry. Anything left out falls back to the original rule: fold
+    // to half the sheet in each direction with the picture upright on top.
+    //   width, height  size of the folded square
+    //   orientation    'upright' or 'any' (the picture may be turned by 90° steps)
+    //   picture_side   'top' or 'bottom'; the other side must be solid colour
+    //   sides          { top, bottom }: what each side must show, instead of
+    //                  picture_side (see validateState); null for a side
+    //                  that is not checked
+    //   image_region   [x, y, width, height] of the sheet the picture must show
+    //   max_folds      most folds allowed, or null for no limit
+    getGoal() {
+        const sheet = PuzzleManager.getBounds(this.initialState.vertices_coords);
+        const goal = (this.puzzleData && this.puzzleData.goal) || {};
+        const pictureSide = goal.picture_side || 'top';
+        const sides = goal.sides
+            ? { top: goal.sides.top !== undefined ? goal.sides.top : null,
+                bottom: goal.sides.bottom !== undefined ? goal.sides.bottom : null }
+            : { top: pictureSide === 'top' ? 'image' : 'color', bottom: pictureSide === 'top' ? 'color' : 'image' };
+        return {
+            width: goal.width !== undefined ? goal.width : sheet.width / 2,
+            height: goal.height !== undefined ? goal.height : sheet.height / 2,
+            orientation: goal.orientation || 'upright',
+            picture_side: pictureSide,
+            sides,
+            image_region: goal.image_region || null,
+            max_folds: goal.max_folds !== undefined ? goal.max_folds : null
+        };
+    }
+
+    // Fill colour of every colour class: "color" and the puzzle's palette
+    getPalette() {
+        return { color: DEFAULT_FACE_COLOR, ...((this.puzzleData && this.puzzleData.palette) || {}) };
+    }
+
+    // URL of the picture on the back of the sheet, or null when image faces
+    // show the front picture through the paper there
+    getBackImageUrl() {
+        return (this.puzzleData && this.puzzleData.back_image_url) || null;
+    }
+
+    // Where the image texture lies on the unfolded paper: placed so that its
+    // image_source part (the whole image by default) covers the sheet. With
+    // `back`, where the back picture lies in back coordinates (see backPoint),
+    // placed by back_image_source.
+    getImageRect(back = false) {
+        const sheet = PuzzleManager.getBounds(this.initialState.vertices_coords);
+        const key = back ? 'back_image_source' : 'image_source';
+        return PuzzleManager.imageRect(sheet, (this.puzzleData && this.puzzleData[key]) || [0, 0, 1, 1]);
+    }
+
+    // Image rectangle that maps the source part [x, y, width, height] of the
+    // image (as fractions of its size) onto the sheet bounds
+    static imageRect(sheet, source) {
+        const [sx, sy, sw, sh] = source;
+        const width = sheet.width / sw;
+        const height = sheet.height / sh;
+        return { x: sheet.minX - sx * width, y: sheet.minY - sy * height, width, height };
+    }
+
+    // A point of the unfolded sheet in back coordinates: where it lies once the
+    // sheet is turned over left to right. The back picture is laid out in them.
+    static backPoint(sheet, point) {
+        return [sheet.minX + sheet.maxX - point[0], point[1]];
+    }
+
+    // What a face shows towards one side ('top' or 'bottom') of the folded
+    // paper: { back, faceClass }, where back is true when it is the back of
+    // the sheet and faceClass is the class of that side of the face
+    static surface(graph, face, side) {
+        const back = Boolean(graph.faces_flipped && graph.faces_flipped[face]) !== (side === 'bottom');
+        const classes = back && graph.faces_back_classes ? graph.faces_back_classes : graph.faces_classes;
+        return { back, faceClass: classes[face] };
+    }
+
+    // Checks a folded state against the goal. The folded paper must have the
+    // target size, and each side must show what goal.sides asks of it:
+    //   'image'       the picture rebuilt in one piece: every visible point is
+    //                 an image face whose texture lands where the rest of the
+    //                 picture puts it, or where image_region says
+    //   'back_image'  the same for the back picture (back_image_url)
+    //   a class       solid colour of that class ('color' or a palette name)
+    //   { pattern }   rows of classes laid over the folded square as equal
+    //                 cells, e.g. a checkerboard
+    // A face shows its front class from above unless turned over, and its
+    // back class (faces_back_classes, the front class by default) otherwise.
+    // Without a back picture the backs of image faces show the front picture
+    // through the paper. Pass the number of folds made to also check
+    // max_folds. Returns { solved, shape, folds, regions }, where regions
+    // lists the failing parts of the folded square as rectangles in folded
+    // coordinates.
+    validateState(graph, foldCount) {
+        const goal = this.getGoal();
+        const bounds = PuzzleManager.getBounds(graph.vertices_coords);
+        const rotations = goal.orientation === 'any' ? [0, 1, 2, 3] : [0];
+        const fits = (width, height) => Math.abs(bounds.width - width) < VALIDATION_TOLERANCE &&
+            Math.abs(bounds.height - height) < VALIDATION_TOLERANCE;
+
+        const shape = {
+            width: bounds.width,
+            height: bounds.height,
+            expected: { width: goal.width, height: goal.height },
+            ok: fits(goal.width, goal.height) || (goal.orientation === 'any' && fits(goal.height, goal.width))
+        };
+        const folds = foldCount === undefined ? null : {
+            count: foldCount,
+            max: goal.max_folds,
+            ok: goal.max_folds === null || foldCount <= goal.max_folds
+        };
+        if (!shape.ok) {
+            return { solved: false, shape, folds, regions: [] };
+        }
+
+        const samples = PuzzleManager.sampleViews(graph, bounds);
+        const failures = [];
+        samples.forEach(sample => {
+            if (sample.top === -1) {
+                failures.push({ ...sample, side: 'top', reason: 'no-paper' });
+                failures.push({ ...sample, side: 'bottom', reason: 'no-paper' });
             }
         });
+        const covered = samples.filter(sample => sample.top !== -1);
+        ['top', 'bottom'].forEach(side => {
+            const target = goal.sides[side];
+            if (target === null) return;
+            const check = target === 'image' || target === 'back_image' ? 'checkPicture'
+                : typeof target === 'string' ? 'checkColor' : 'checkPattern';
+            failures.push(...this[check](graph, covered, bounds, side, target, rotations)
+                .map(sample => ({ ...sample, side })));
+        });
 
-        return graph;
+        return {
+            solved: failures.length === 0 && (!folds || folds.ok),
+            shape,
+            folds,
+            regions: PuzzleManager.mergeRegions(failures)
+        };
     }
 
-    validateState(graph) {
-        // Check if bounding box is approx 1x1 (since we used 0-2 coords for 2x2 grid, target is 1x1?)
-        // The original was 8x8 -> 4x4.
-        // My new sample is 2x2. Target should be 1x1?
-        // Let's assume target is "all faces stacked in a square".
+    // Coordinates of a point of the folded square as seen from one side;
+    // turning the paper over mirrors it
+    static viewPoint(bounds, side, p) {
+        return side === 'top'
+            ? [p[0] - bounds.minX, p[1] - bounds.minY]
+            : [bounds.maxX - p[0], p[1] - bounds.minY];
+    }
 
-        // Bounding box check
-        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-        graph.vertices_coords.forEach(v => {
-            minX = Math.min(minX, v[0]);
-            maxX = Math.max(maxX, v[0]);
-            minY = Math.min(minY, v[1]);
-            maxY = Math.max(maxY, v[1]);
+    // The samples of one side that do not show the picture target ('image' or
+    // 'back_image') in one piece, each with a reason
+    checkPicture(graph, samples, bounds, side, target, rotations) {
+        const goal = this.getGoal();
+        const sheet = PuzzleManager.getBounds(this.initialState.vertices_coords);
+        const backImage = Boolean(this.getBackImageUrl());
+        const rotate = (v, k) => [[v[0], v[1]], [-v[1], v[0]], [-v[0], -v[1]], [v[1], -v[0]]][k];
+        const round = value => Math.round(value * 1000) / 1000 + 0; // + 0 turns -0 into 0
+        const placementKey = (k, offset) => `${k}:${offset.map(round).join(',')}`;
+
+        // A placement is a rotation of the view plus the offset into the texture.
+        // With an image_region only the placements that show exactly that region
+        // of the front picture count.
+        let allowed = null;
+        if (goal.image_region && target === 'image') {
+            const [rx, ry, rw, rh] = goal.image_region;
+            allowed = new Set();
+            rotations.forEach(k => {
+                const corners = [[0, 0], [bounds.width, 0], [0, bounds.height], [bounds.width, bounds.height]]
+                    .map(c => rotate(c, k));
+                const min = [0, 1].map(i => Math.min(...corners.map(c => c[i])));
+                const max = [0, 1].map(i => Math.max(...corners.map(c => c[i])));
+                if (Math.abs(max[0] - min[0] - rw) < VALIDATION_TOLERANCE &&
+                    Math.abs(max[1] - min[1] - rh) < VALIDATION_TOLERANCE) {
+                    allowed.add(placementKey(k, [rx - min[0], ry - min[1]]));
+                }
+            });
+        }
+
+        // Every visible point of the target picture votes for the placements
+        // that explain it; the picture is wherever most of the side agrees on.
+        // The back picture is laid out in back coordinates.
+        const votes = new Map();
+        const placements = samples.map(sample => {
+            const face = sample[side];
+            const { back, faceClass } = PuzzleManager.surface(graph, face, side);
+            const picture = faceClass !== 'image' ? null : back && backImage ? 'back_image' : 'image';
+            if (picture !== target) return null;
+
+            const origin = PuzzleManager.mapToOrigin(graph, face, sample.point);
+            const texture = picture === 'back_image' ? PuzzleManager.backPoint(sheet, origin) : origin;
+            const view = PuzzleManager.viewPoint(bounds, side, sample.point);
+            const keys = new Set();
+            rotations.forEach(k => {
+                const turned = rotate(view, k);
+                const key = placementKey(k, [texture[0] - turned[0], texture[1] - turned[1]]);
+                if (allowed && !allowed.has(key)) return;
+                keys.add(key);
+                votes.set(key, (votes.get(key) || 0) + 1);
+            });
+            return keys;
+        });
+        const [placement] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+
+        const failures = [];
+        samples.forEach((sample, i) => {
+            if (!placements[i]) {
+                failures.push({ ...sample, reason: 'not-image' });
+            } else if (!placements[i].has(placement)) {
+                failures.push({ ...sample, reason: 'misplaced' });
+            }
+        });
+        return failures;
+    }
+
+    // The samples of one side that do not show the colour class `target`
+    checkColor(graph, samples, bounds, side, target) {
+        return samples
+            .filter(sample => PuzzleManager.surface(graph, sample[side], side).faceClass !== target)
+            .map(sample => ({ ...sample, reason: 'not-color' }));
+    }
+
+    // The samples of one side whose class differs from the pattern cell over
+    // them. With orientation 'any' the pattern may be turned by 90° steps;
+    // the turn that fits most of the side counts.
+    checkPattern(graph, samples, bounds, side, target, rotations) {
+        const rows = target.pattern;
+        const turn = (u, v, k) => [[u, v], [v, 1 - u], [1 - u, 1 - v], [1 - v, u]][k];
+        const cellAt = (sample, k) => {
+            const view = PuzzleManager.viewPoint(bounds, side, sample.point);
+            const [u, v] = turn(view[0] / bounds.width, view[1] / bounds.height, k);
+            const row = rows[Math.min(rows.length - 1, Math.floor(v * rows.length))];
+            return row[Math.min(row.length - 1, Math.floor(u * row.length))];
+        };
+
+        let best = null;
+        rotations.forEach(k => {
+            const wrong = samples.filter(sample =>
+                PuzzleManager.surface(graph, sample[side], side).faceClass !== cellAt(sample, k));
+            if (!best || wrong.length < best.length) best = wrong;
         });
+        return best.map(sample => ({ ...sample, reason: 'pattern' }));
+    }
+
+    // SAMPLE_OFFSET, for the scripts that place points the same way
+    static get sampleOffset() {
+        return SAMPLE_OFFSET;
+    }
 
-        const width = maxX - minX;
-        const height = maxY - minY;
+    // Samples the folded square on a regular grid and finds the face seen at
+    // every sample from above (highest layer) and from below (lowest layer).
+    // Sample points are nudged off-centre so they never sit exactly on a diagonal crease.
+    static sampleViews(graph, bounds) {
+        const layers = graph.faces_layer || graph.faces_vertices.map((_, i) => i);
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        const polygonBounds = polygons.map(polygon => PuzzleManager.getBounds(polygon));
+        const step = Math.max(bounds.width, bounds.height) / VALIDATION_RESOLUTION;
+        const columns = Math.max(1, Math.round(bounds.width / step));
+        const rows = Math.max(1, Math.round(bounds.height / step));
 
-        // Allow some slack
-        if (Math.abs(width - 1) > 0.1 || Math.abs(height - 1) > 0.1) {
-            // console.log('Validation failed: dimensions', width, height);
-            // return false;
-            // Let's be lenient for now as my sample might be 2x2
+        const samples = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const point = [
+                    bounds.minX + (col + SAMPLE_OFFSET[0]) * step,
+                    bounds.minY + (row + SAMPLE_OFFSET[1]) * step
+                ];
+                let top = -1;
+                let bottom = -1;
+                polygons.forEach((polygon, i) => {
+                    const box = polygonBounds[i];
+                    if (point[0] < box.minX || point[0] > box.maxX || point[1] < box.minY || point[1] > box.maxY) return;
+                    if (!PuzzleManager.pointInPolygon(point, polygon)) return;
+                    if (top === -1 || layers[i] > layers[top]) top = i;
+                    if (bottom === -1 || layers[i] < layers[bottom]) bottom = i;
+                });
+                samples.push({ row, col, point, top, bottom, step });
+            }
         }
+        return samples;
+    }
 
-        // Check if all faces are either "image" facing up or "color" facing down?
-        // "Complete picture on one side"
-        // We need to check Z-order.
-        // Without Z-order, we can't really validate.
-        // But we can check if all "image" faces are flipped same way?
+    // Joins failing samples of the same row, side and reason into rectangles
+    static mergeRegions(failures) {
+        const regions = [];
+        const sorted = [...failures].sort((a, b) =>
+            a.side.localeCompare(b.side) || a.reason.localeCompare(b.reason) || a.row - b.row || a.col - b.col);
 
-        // Let's just return true if dimensions are small enough for now.
-        return width < 1.1 && height < 1.1;
+        sorted.forEach(sample => {
+            const last = regions[regions.length - 1];
+            if (last && last.side === sample.side && last.reason === sample.reason &&
+                last.row === sample.row && last.endCol === sample.col) {
+                last.width += sample.step;
+                last.endCol++;
+                return;
+            }
+            regions.push({
+                side: sample.side,
+                reason: sample.reason,
+                x: sample.point[0] - SAMPLE_OFFSET[0] * sample.step,
+                y: sample.point[1] - SAMPLE_OFFSET[1] * sample.step,
+                width: sample.step,
+                height: sample.step,
+                row: sample.row,
+                endCol: sample.col + 1
+            });
+        });
+
+        return regions.map(({ side, reason, x, y, width, height }) => ({ side, reason, x, y, width, height }));
     }
-}
 
+    // Maps a point on a folded face back to the unfolded paper (texture space)
+    static mapToOrigin(graph, face, point) {
+        const origins = graph.vertices_origin || graph.vertices_coords;
+        return PuzzleManager.mapBetween(graph, face, point, graph.vertices_coords, origins);
+    }
+
+    // Maps a point of the unfolded paper to where it lies on the folded face
+    static mapFromOrigin(graph, face, point) {
+        const origins = graph.vertices_origin || graph.vertices_coords;
+        return PuzzleManager.mapBetween(graph, face, point, origins, graph.vertices_coords);
+    }
+
+    // Carries a point between two placements of a face, using barycentric
+    // coordinates on three corners of the face
+    static mapBetween(graph, face, point, fromCoords, toCoords) {
+        const indices = graph.faces_vertices[face];
+        const from = indices.map(v => fromCoords[v]);
+        const basis = PuzzleManager.findAffineBasis(from);
+        if (!basis) return [point[0], point[1]];
+
+        const [a, b, c] = basis.map(j => from[j]);
+        const den = (b[1] - c[1]) * (a[0] - c[0]) + (c[0] - b[0]) * (a[1] - c[1]);
+        const l1 = ((b[1] - c[1]) * (point[0] - c[0]) + (c[0] - b[0]) * (point[1] - c[1])) / den;
+        const l2 = ((c[1] - a[1]) * (point[0] - c[0]) + (a[0] - c[0]) * (point[1] - c[1])) / den;
+        const l3 = 1 - l1 - l2;
+
+        const [ta, tb, tc] = basis.map(j => toCoords[indices[j]]);
+        return [
+            l1 * ta[0] + l2 * tb[0] + l3 * tc[0],
+            l1 * ta[1] + l2 * tb[1] + l3 * tc[1]
+        ];
+    }
+
+    // Picks three non-collinear corners of a polygon, since splitting a face
+    // can put the new intersection vertex in line with its neighbours
+    static findAffineBasis(points) {
+        if (points.length < 3) return null;
+
+        let best = null;
+        let bestArea = 1e-9;
+        for (let j = 1; j < points.length - 1; j++) {
+            for (let k = j + 1; k < points.length; k++) {
+                const area = Math.abs(
+                    (points[j][0] - points[0][0]) * (points[k][1] - points[0][1]) -
+                    (points[k][0] - points[0][0]) * (points[j][1] - points[0][1])
+                );
+                if (area > bestArea) {
+                    bestArea = area;
+                    best = [0, j, k];
+                }
+            }
+        }
+        return best;
+    }
+
+    // Affine transform { a, b, c, d, e, f } (as in an SVG matrix()) that maps
+    // three points onto three others
+    static affineTransform(src, dst) {
+        const x0 = src[0][0], y0 = src[0][1];
+        const x1 = src[1][0], y1 = src[1][1];
+        const x2 = src[2][0], y2 = src[2][1];
+
+        const u0 = dst[0][0], v0 = dst[0][1];
+        const u1 = dst[1][0], v1 = dst[1][1];
+        const u2 = dst[2][0], v2 = dst[2][1];
+
+        // Denominator
+        const den = x0 * (y1 - y2) - y0 * (x1 - x2) + (x1 * y2 - x2 * y1);
+
+        if (Math.abs(den) < 1e-6) return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }; // Degenerate
+
+        const a = (u0 * (y1 - y2) - y0 * (u1 - u2) + (u1 * y2 - u2 * y1)) / den;
+        const b = (v0 * (y1 - y2) - y0 * (v1 - v2) + (v1 * y2 - v2 * y1)) / den;
+        const c = (x0 * (u1 - u2) - u0 * (x1 - x2) + (x1 * u2 - x2 * u1)) / den;
+        const d = (x0 * (v1 - v2) - v0 * (x1 - x2) + (x1 * v2 - x2 * v1)) / den;
+        const e = (x0 * (y1 * u2 - y2 * u1) - y0 * (x1 * u2 - x2 * u1) + (x1 * y2 * u0 - x2 * y1 * u0)) / den;
+        const f = (x0 * (y1 * v2 - y2 * v1) - y0 * (x1 * v2 - x2 * v1) + (x1 * y2 * v0 - x2 * y1 * v0)) / den;
+
+        return { a, b, c, d, e, f };
+    }
+
+    static getBounds(coords) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        coords.forEach(v => {
+            minX = Math.min(minX, v[0]);
+            maxX = Math.max(maxX, v[0]);
+            minY = Math.min(minY, v[1]);
+            maxY = Math.max(maxY, v[1]);
+        });
+        return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+    }
+}
@@ -0,0 +1,646 @@
+/**
+ * renderer.js
+ * Draws fold states, previews and fold animations as SVG
+ */
+
+import { PuzzleManager } from './puzzle.js';
+import { Accessibility } from './accessibility.js';
+
+// How long a fold animation takes, in milliseconds
+const FOLD_ANIMATION_DURATION = 600;
+// Distance of the perspective camera from the paper, in multiples of the paper size
+const FOLD_CAMERA_DISTANCE = 4;
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const SVG_XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+// Pixels per paper unit in standalone SVGs
+const SVG_EXPORT_SCALE = 100;
+// Space between the two views of a split view, and the size of their labels,
+// in multiples of the paper size
+const SVG_SPLIT_GAP = 0.25;
+const SVG_SPLIT_LABEL_SIZE = 0.08;
+// The fixed theme of standalone SVGs, which have no stylesheet: the colours of
+// the default theme in styles.css, whatever theme the page shows. Brightness
+// of faces showing their back side, as .flipped in styles.css...
+const SVG_FLIPPED_BRIGHTNESS = 0.75;
+// ...and its rules for the drawing: the classes an element must have, and the
+// declarations it then gets. test/renderer.test.js checks them against
+// styles.css, so change both together.
+const SVG_INLINE_STYLES = [
+    [['image'], 'fill: #bb86fc; stroke: #121212; stroke-width: 0.02'],
+    [['color'], 'fill: #03dac6; stroke: #121212; stroke-width: 0.02'],
+    [['crease'], 'stroke: #121212; stroke-width: 0.01'],
+    [['crease', 'V'], 'stroke: #03dac6; stroke-width: 0.02; stroke-dasharray: 0.08 0.04'],
+    [['crease', 'M'], 'stroke: #cf6679; stroke-width: 0.02; stroke-dasharray: 0.08 0.04 0.02 0.04'],
+    [['flipped'], 'filter: url(#flipped)'],
+    [['view-label'], 'fill: #b0b0b0']
+];
+
+export class SvgRenderer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.puzzleManager = null;
+        this.animationDuration = options.animationDuration !== undefined
+            ? options.animationDuration
+            : FOLD_ANIMATION_DURATION;
+        this.animation = null; // { frame, promise, resolve } while a fold is playing
+        this.view = { side: 'top', rotation: 0, split: false };
+    }
+
+    // The puzzle supplies the picture drawn on image faces
+    setPuzzleManager(puzzleManager) {
+        this.puzzleManager = puzzleManager;
+    }
+
+    // How the paper is looked at: side 'top' (from above) or 'bottom' (from
+    // below, as if turned over left to right), rotation in clockwise quarter
+    // turns, and split to also show the other side next to it. Takes effect
+    // from the next render.
+    setView(view) {
+        const next = { ...this.view, ...view };
+        next.rotation = ((next.rotation % 4) + 4) % 4;
+        this.view = next;
+    }
+
+    // Draws a graph as a fresh SVG. Passing bounds fixes the view box, which
+    // keeps animation frames from jumping. Animation frames also pass
+    // labels = false, as working out the face labels takes long on big
+    // puzzles and they only matter once the paper settles.
+    render(graph, bounds = null, labels = true) {
+        if (!this.container) {
+            console.error('SvgRenderer: Container not found');
+            return;
+        }
+        this.container.innerHTML = '';
+
+        if (!graph || !graph.vertices_coords) {
+            console.error('SvgRenderer: Graph is invalid', graph);
+            return;
+        }
+
+        this.container.appendChild(SvgRenderer.createElement(SvgRenderer.describe(graph, this.puzzleManager, bounds, this.view, labels)));
+    }
+
+    // The SVG for a graph as a tree of { name, attributes, classes, children }
+    // nodes (and text, for text elements), without touching the DOM: faces by
+    // class in stacking order, the puzzle's picture mapped onto image faces,
+    // and creases by assignment. render() builds it as DOM and toSvgString()
+    // as text. `view` (see setView) says how to look at the paper; the
+    // default is from above, upright. Each view is a g.view group whose
+    // transform maps paper coordinates onto the SVG, holding the faces and
+    // creases directly. Views and faces carry labels for assistive
+    // technology (see Accessibility.describeFace), faces only when `labels`;
+    // the rest is hidden from it.
+    static describe(graph, puzzleManager = null, bounds = null, view = null, labels = true) {
+        const node = (name, attributes = {}, classes = [], children = []) => ({ name, attributes, classes, children });
+        const { side = 'top', rotation = 0, split = false } = view || {};
+
+        const box = bounds || PuzzleManager.getBounds(graph.vertices_coords);
+        const padding = 0.1;
+        const defs = node('defs');
+        const svg = node('svg', { role: 'group', 'aria-label': 'Paper' }, [], [defs]);
+
+        const sides = split ? [side, side === 'top' ? 'bottom' : 'top'] : [side];
+        const corners = [];
+        sides.forEach((viewSide, slot) => {
+            const matrix = SvgRenderer.viewMatrix(box, viewSide, rotation, slot);
+            const attributes = {
+                'data-side': viewSide,
+                role: 'group',
+                'aria-label': viewSide === 'top' ? 'Seen from above' : 'Seen from underneath'
+            };
+            if (viewSide !== 'top' || rotation % 4 !== 0 || slot > 0) {
+                attributes.transform = `matrix(${['a', 'b', 'c', 'd', 'e', 'f'].map(k => +matrix[k].toFixed(6)).join(', ')})`;
+            }
+            const group = node('g', attributes, ['view']);
+            SvgRenderer.describeSide(graph, puzzleManager, viewSide, slot, defs, group, labels);
+            svg.children.push(group);
+
+            const placed = [[box.minX, box.minY], [box.maxX, box.minY], [box.minX, box.maxY], [box.maxX, box.maxY]]
+                .map(([x, y]) => [matrix.a * x + matrix.c * y + matrix.e, matrix.b * x + matrix.d * y + matrix.f]);
+            corners.push(...placed);
+            if (split) {
+                // Labels sit outside the view groups, so they are never mirrored
+                const size = SVG_SPLIT_LABEL_SIZE * Math.max(box.width, box.height);
+                const x = placed.reduce((sum, p) => sum + p[0], 0) / 4;
+                const y = Math.max(...placed.map(p => p[1])) + padding + size;
+                const label = node('text', { x, y, 'font-size': size, 'text-anchor': 'middle', 'aria-hidden': 'true' },
+                    ['view-label']);
+                label.text = viewSide === 'top' ? 'Top' : 'Bottom';
+                svg.children.push(label);
+                corners.push([x, y + size * 0.3]);
+            }
+        });
+
+        const { minX, minY, width, height } = PuzzleManager.getBounds(corners);
+        svg.attributes.viewBox = `${minX - padding} ${minY - padding} ${width + padding * 2} ${height + padding * 2}`;
+        return svg;
+    }
+
+    // Adds the faces and creases of a graph as seen from one side to a view
+    // group. From below the stacking order is reversed, each crease goes with
+    // the lowest face it borders, and faces that show their front from above
+    // show their back. Clip paths go to defs, unique per view slot.
+    static describeSide(graph, puzzleManager, side, slot, defs, group, labels = true) {
+        const node = (name, attributes = {}, classes = [], children = []) => ({ name, attributes, classes, children });
+        const below = side === 'bottom';
+        // Sign that makes faces nearer the viewer compare greater
+        const towardsViewer = below ? -1 : 1;
+
+        // Each crease is drawn with the nearest face it borders, so layers
+        // folded on top hide the creases underneath them
+        const edgesByFace = new Map();
+        const layers = graph.faces_layer || [];
+        if (graph.edges_vertices && graph.faces_vertices) {
+            const facesByEdge = new Map();
+            graph.faces_vertices.forEach((face, i) => {
+                face.forEach((u, j) => {
+                    const v = face[(j + 1) % face.length];
+                    const key = u < v ? `${u},${v}` : `${v},${u}`;
+                    const nearest = facesByEdge.get(key);
+                    if (nearest === undefined ||
+                        towardsViewer * ((layers[i] || 0) - (layers[nearest] || 0)) > 0) {
+                        facesByEdge.set(key, i);
+                    }
+                });
+            });
+            graph.edges_vertices.forEach(([u, v], i) => {
+                const face = facesByEdge.get(u < v ? `${u},${v}` : `${v},${u}`);
+                if (!edgesByFace.has(face)) edgesByFace.set(face, []);
+                edgesByFace.get(face).push(i);
+            });
+        }
+
+        const renderEdge = i => {
+            const edgeIndices = graph.edges_vertices[i];
+            const u = graph.vertices_coords[edgeIndices[0]];
+            const v = graph.vertices_coords[edgeIndices[1]];
+
+            // Add specific classes if we have edge assignments (M/V)
+            const classes = ['crease'];
+            if (graph.edges_assignment && graph.edges_assignment[i]) {
+                classes.push(graph.edges_assignment[i]);
+            }
+            group.children.push(node('line', { x1: u[0], y1: u[1], x2: v[0], y2: v[1], 'aria-hidden': 'true' }, classes));
+        };
+
+        const imageUrl = puzzleManager && puzzleManager.puzzleData.image_url;
+        const backImageUrl = puzzleManager && puzzleManager.getBackImageUrl();
+        const sheet = backImageUrl && PuzzleManager.getBounds(puzzleManager.getInitialState().vertices_coords);
+
+        // Render Faces, farthest from the viewer first
+        if (graph.faces_vertices) {
+            const order = graph.faces_vertices
+                .map((_, i) => i)
+                .sort((a, b) => towardsViewer * ((layers[a] || 0) - (layers[b] || 0)) || a - b);
+
+            const stacks = labels ? SvgRenderer.faceStacks(graph, order) : null;
+
+            order.forEach(i => {
+                const faceIndices = graph.faces_vertices[i];
+
+                // Build path data
+                const points = faceIndices.map(idx => graph.vertices_coords[idx]);
+                const d = `M ${points[0][0]} ${points[0][1]} ` +
+                    points.slice(1).map(p => `L ${p[0]} ${p[1]}`).join(' ') +
+                    ' Z';
+                // Whether the viewer sees the back of the face, and the class of that side
+                const { back: flipped, faceClass } = graph.faces_classes
+                    ? PuzzleManager.surface(graph, i, side)
+                    : { back: Boolean(graph.faces_flipped && graph.faces_flipped[i]) !== below, faceClass: null };
+                const { classes, fill } = SvgRenderer.faceFill(puzzleManager, faceClass);
+                if (flipped) classes.push('flipped');
+                const path = node('path', fill ? { d, style: `fill: ${fill}` } : { d }, classes);
+                if (stacks) {
+                    // The face's place among the faces stacked over and under it
+                    const stack = stacks[i];
+                    path.attributes.role = 'img';
+                    path.attributes['aria-label'] = Accessibility.describeFace(graph, i, side, puzzleManager,
+                        { depth: stack.length - stack.indexOf(i), count: stack.length });
+                }
+                group.children.push(path);
+
+                // Texture Mapping. The view transform mirrors it when seen from below.
+                // The back picture, when there is one, is laid out in back coordinates.
+                const backTexture = flipped && Boolean(backImageUrl);
+                if (imageUrl && faceClass === 'image') {
+                    // Calculate transform from the face's unfolded position to its current one
+                    const origins = graph.vertices_origin || puzzleManager.getInitialState().vertices_coords;
+                    const basis = PuzzleManager.findAffineBasis(faceIndices.map(vIdx => origins[vIdx]));
+
+                    if (basis) {
+                        const initialVertices = basis.map(j => (backTexture
+                            ? PuzzleManager.backPoint(sheet, origins[faceIndices[j]])
+                            : origins[faceIndices[j]]));
+                        const currentVertices = basis.map(j => points[j]);
+                        const matrix = PuzzleManager.affineTransform(initialVertices, currentVertices);
+
+                        const clipId = slot === 0 ? `clip-face-${i}` : `clip-face-${i}-${side}`;
+                        defs.children.push(node('clipPath', { id: clipId }, [], [node('path', { d })]));
+
+                        const imageRect = puzzleManager.getImageRect(backTexture);
+                        const imageClasses = backTexture ? ['back-image'] : [];
+                        if (flipped) imageClasses.push('flipped');
+                        group.children.push(node('image', {
+                            'xlink:href': backTexture ? backImageUrl : imageUrl,
+                            x: imageRect.x,
+                            y: imageRect.y,
+                            width: imageRect.width,
+                            height: imageRect.height,
+                            preserveAspectRatio: 'none',
+                            'clip-path': `url(#${clipId})`,
+                            transform: `matrix(${matrix.a}, ${matrix.b}, ${matrix.c}, ${matrix.d}, ${matrix.e}, ${matrix.f})`,
+                            'aria-hidden': 'true'
+                        }, imageClasses));
+
+                        // The picture shows through the transparent path
+                        path.attributes.style = 'fill: none';
+                    }
+                }
+
+                (edgesByFace.get(i) || []).forEach(renderEdge);
+            });
+        }
+
+        // Edges that border no face
+        (edgesByFace.get(undefined) || []).forEach(renderEdge);
+    }
+
+    // The classes and fill of a face showing the given face class. Palette
+    // colours draw as "color" faces with the palette's fill, so styles.css
+    // still outlines them.
+    static faceFill(puzzleManager, faceClass) {
+        if (!faceClass) return { classes: [], fill: null };
+        if (faceClass === 'image') return { classes: ['image'], fill: null };
+        const palette = (puzzleManager && puzzleManager.puzzleData.palette) || {};
+        return { classes: ['color'], fill: palette[faceClass] || null };
+    }
+
+    // The transform of a view: the paper within `bounds` as seen from `side`
+    // (from below it is mirrored left to right), turned `rotation` quarter
+    // turns clockwise about its centre, and for the second view of a split
+    // view (slot 1) moved right, next to the first
+    static viewMatrix(bounds, side, rotation, slot = 0) {
+        const centre = [bounds.minX + bounds.width / 2, bounds.minY + bounds.height / 2];
+        const turns = ((rotation % 4) + 4) % 4;
+        const width = turns % 2 === 0 ? bounds.width : bounds.height;
+        const shift = slot * (width + SVG_SPLIT_GAP * Math.max(bounds.width, bounds.height));
+        const place = ([x, y]) => {
+            const dx = (side === 'bottom' ? -1 : 1) * (x - centre[0]);
+            const dy = y - centre[1];
+            const [tx, ty] = [[dx, dy], [-dy, dx], [-dx, -dy], [dy, -dx]][turns];
+            return [centre[0] + tx + shift, centre[1] + ty];
+        };
+        const from = [[centre[0], centre[1]], [centre[0] + 1, centre[1]], [centre[0], centre[1] + 1]];
+        return PuzzleManager.affineTransform(from, from.map(place));
+    }
+
+    // For every face, the faces it overlaps and itself, in drawing order
+    static faceStacks(graph, order) {
+        const polygons = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        return graph.faces_vertices.map((_, i) =>
+            order.filter(j => j === i || PuzzleManager.polygonsOverlap(polygons[i], polygons[j])));
+    }
+
+    // Builds a describe() tree as SVG DOM
+    static createElement(description) {
+        const element = document.createElementNS(SVG_NAMESPACE, description.name);
+        Object.entries(description.attributes).forEach(([name, value]) => {
+            if (name.startsWith('xlink:')) {
+                element.setAttributeNS(SVG_XLINK_NAMESPACE, name, value);
+            } else {
+                element.setAttribute(name, value);
+            }
+        });
+        description.classes.forEach(name => element.classList.add(name));
+        if (description.text !== undefined) element.textContent = description.text;
+        description.children.forEach(child => element.appendChild(SvgRenderer.createElement(child)));
+        return element;
+    }
+
+    // A self-contained SVG document of a graph, for use outside the page
+    // (catalog images, print). Works without a DOM. The styles.css rules the
+    // drawing uses are inlined, and options.imageHref replaces the puzzle's
+    // image_url, typically with a data: URL so the picture is embedded;
+    // options.backImageHref does the same for back_image_url.
+    // options.view looks at the paper another way, as setView describes.
+    static toSvgString(graph, puzzleManager = null, options = {}) {
+        const svg = SvgRenderer.describe(graph, puzzleManager, options.bounds || null, options.view || null);
+        const [, , width, height] = svg.attributes.viewBox.split(' ').map(Number);
+        const scale = options.scale || SVG_EXPORT_SCALE;
+        Object.assign(svg.attributes, {
+            xmlns: SVG_NAMESPACE,
+            'xmlns:xlink': SVG_XLINK_NAMESPACE,
+            width: +(width * scale).toFixed(3),
+            height: +(height * scale).toFixed(3)
+        });
+        // Browsers brighten flipped faces with a CSS filter; an SVG filter works everywhere
+        svg.children[0].children.unshift({
+            name: 'filter',
+            attributes: { id: 'flipped' },
+            classes: [],
+            children: [{
+                name: 'feComponentTransfer',
+                attributes: {},
+                classes: [],
+                children: ['R', 'G', 'B'].map(channel => ({
+                    name: `feFunc${channel}`,
+                    attributes: { type: 'linear', slope: SVG_FLIPPED_BRIGHTNESS },
+                    classes: [],
+                    children: []
+                }))
+            }]
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${SvgRenderer.serialize(svg, options)}\n`;
+    }
+
+    // Writes a describe() tree as SVG markup, inlining the declarations of
+    // options.styles (SVG_INLINE_STYLES by default) that match each element's
+    // classes and replacing image links with options.imageHref (and those of
+    // the back picture with options.backImageHref) when given
+    static serialize(description, options = {}, indent = '') {
+        const attributes = { ...description.attributes };
+        const href = description.classes.includes('back-image') ? options.backImageHref : options.imageHref;
+        if (attributes['xlink:href'] !== undefined && href) {
+            attributes['xlink:href'] = href;
+        }
+        const styles = (options.styles || SVG_INLINE_STYLES)
+            .filter(([classes]) => classes.every(name => description.classes.includes(name)))
+            .map(([, style]) => style);
+        if (attributes.style) styles.push(attributes.style);
+        if (description.classes.length > 0) attributes.class = description.classes.join(' ');
+        if (styles.length > 0) attributes.style = styles.join('; ');
+
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const open = `${indent}<${description.name}` +
+            Object.entries(attributes).map(([name, value]) => ` ${name}="${escape(value)}"`).join('');
+        if (description.text !== undefined) return `${open}>${escape(description.text)}</${description.name}>`;
+        if (description.children.length === 0) return `${open}/>`;
+        const children = description.children.map(child => SvgRenderer.serialize(child, options, `${indent}  `));
+        return `${open}>\n${children.join('\n')}\n${indent}</${description.name}>`;
+    }
+
+    // The unfolded paper of a state with the creases its folds made, flat and
+    // face up, as a graph that describe() and toSvgString() draw
+    static creasePattern(graph) {
+        const pattern = JSON.parse(JSON.stringify(graph));
+        pattern.vertices_coords = JSON.parse(JSON.stringify(graph.vertices_origin || graph.vertices_coords));
+        pattern.faces_flipped = graph.faces_vertices.map(() => false);
+        pattern.faces_layer = graph.faces_vertices.map(() => 0);
+        return pattern;
+    }
+
+    // A small SVG of a state: faces by class in stacking order, without texture
+    createThumbnail(graph) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        const { minX, minY, width, height } = PuzzleManager.getBounds(graph.vertices_coords);
+        const padding = 0.05 * Math.max(width, height);
+        svg.setAttribute('viewBox', `${minX - padding} ${minY - padding} ${width + padding * 2} ${height + padding * 2}`);
+        svg.classList.add('thumbnail');
+        // Thumbnails sit next to text that names their fold
+        svg.setAttribute('aria-hidden', 'true');
+
+        graph.faces_vertices
+            .map((_, i) => i)
+            .sort((a, b) => graph.faces_layer[a] - graph.faces_layer[b] || a - b)
+            .forEach(i => {
+                const points = graph.faces_vertices[i].map(v => graph.vertices_coords[v]);
+                const path = document.createElementNS(svgNS, 'path');
+                path.setAttribute('d', `M ${points.map(p => `${p[0]} ${p[1]}`).join(' L ')} Z`);
+                const { back, faceClass } = PuzzleManager.surface(graph, i, 'top');
+                const { classes, fill } = SvgRenderer.faceFill(this.puzzleManager, faceClass);
+                classes.forEach(name => path.classList.add(name));
+                if (fill) path.style.fill = fill;
+                if (back) path.classList.add('flipped');
+                svg.appendChild(path);
+            });
+        return svg;
+    }
+
+    // Marks the first point of a fold line that is still being picked
+    previewPoint(point) {
+        this.addOverlay('fold-preview', group => {
+            const marker = document.createElementNS(SVG_NAMESPACE, 'circle');
+            marker.setAttribute('cx', point[0]);
+            marker.setAttribute('cy', point[1]);
+            marker.setAttribute('r', 0.05);
+            marker.classList.add('preview-point');
+            group.appendChild(marker);
+        });
+    }
+
+    // Shows what a fold would do: the line extended across the whole paper and a
+    // translucent ghost of the moving faces in their reflected position, styled
+    // by fold type. `graph` is the state the fold would be made on.
+    previewFold(graph, foldLine, foldType) {
+        const ghosts = PuzzleManager.movingPolygons(graph, foldLine, foldType)
+            .map(points => points.map(p => PuzzleManager.reflectPoint(p, foldLine)));
+        const dx = foldLine.p2[0] - foldLine.p1[0];
+        const dy = foldLine.p2[1] - foldLine.p1[1];
+        const extended = PuzzleManager.clipLine(foldLine.p1, [dx, dy],
+            PuzzleManager.getBounds(graph.vertices_coords)) || foldLine;
+
+        this.addOverlay('fold-preview', group => {
+            group.classList.add(foldType);
+            ghosts.forEach(reflected => {
+                const ghost = document.createElementNS(SVG_NAMESPACE, 'path');
+                ghost.setAttribute('d', `M ${reflected.map(p => `${p[0]} ${p[1]}`).join(' L ')} Z`);
+                ghost.classList.add('preview-ghost');
+                group.appendChild(ghost);
+            });
+
+            const line = document.createElementNS(SVG_NAMESPACE, 'line');
+            line.setAttribute('x1', extended.p1[0]);
+            line.setAttribute('y1', extended.p1[1]);
+            line.setAttribute('x2', extended.p2[0]);
+            line.setAttribute('y2', extended.p2[1]);
+            line.classList.add('preview-line');
+            group.appendChild(line);
+
+            if (foldLine.flap) {
+                const marker = document.createElementNS(SVG_NAMESPACE, 'circle');
+                marker.setAttribute('cx', foldLine.flap[0]);
+                marker.setAttribute('cy', foldLine.flap[1]);
+                marker.setAttribute('r', 0.04);
+                marker.classList.add('preview-point');
+                group.appendChild(marker);
+            }
+        });
+    }
+
+    clearPreview() {
+        this.removeOverlay('fold-preview');
+    }
+
+    // Replaces the overlay of a class with a new one on top of the paper in
+    // every view of the current SVG. `build(group, side)` fills the group of
+    // the view looking from `side`; overlays use paper coordinates.
+    addOverlay(className, build) {
+        const svg = this.container && this.container.querySelector('svg');
+        if (!svg) return;
+
+        this.removeOverlay(className);
+        svg.querySelectorAll('.view').forEach(view => {
+            const group = document.createElementNS(SVG_NAMESPACE, 'g');
+            group.classList.add(className);
+            build(group, view.getAttribute('data-side'));
+            view.appendChild(group);
+        });
+    }
+
+    removeOverlay(className) {
+        if (!this.container) return;
+        this.container.querySelectorAll(`svg .${className}`).forEach(group => group.remove());
+    }
+
+    // Plays a fold of `before` as the moving faces rotating about the fold
+    // line in 3D (towards the viewer for valley folds, away for mountain folds),
+    // projected into the SVG with simple perspective. `reverse` plays it
+    // backwards. Renders `after` (or `before` when reversed) when done.
+    animateFold(before, after, operation, reverse = false) {
+        this.stopAnimation();
+        const final = reverse ? before : after;
+        if (!(this.animationDuration > 0) || typeof requestAnimationFrame === 'undefined') {
+            this.render(final);
+            return Promise.resolve();
+        }
+
+        const { line, type } = operation;
+        const { nx, ny, signedDistance } = PuzzleManager.lineFrame(line);
+
+        // Both copies are split the same way, so vertex and face indices match
+        const start = JSON.parse(JSON.stringify(before));
+        const moving = PuzzleManager.prepareFold(start, line, type);
+        const end = PuzzleManager.foldGraph(JSON.parse(JSON.stringify(before)), line, type);
+
+        const movingVertices = new Set();
+        moving.forEach(i => start.faces_vertices[i].forEach(v => movingVertices.add(v)));
+
+        // Until the flap passes upright its own layers keep their old order
+        const rising = end.faces_layer.slice();
+        const movingLayers = [...moving].map(i => end.faces_layer[i]).sort((a, b) => a - b);
+        [...moving]
+            .sort((a, b) => end.faces_layer[a] - end.faces_layer[b])
+            .forEach((face, k) => { rising[face] = movingLayers[movingLayers.length - 1 - k]; });
+
+        const startBounds = PuzzleManager.getBounds(start.vertices_coords);
+        const endBounds = PuzzleManager.getBounds(end.vertices_coords);
+        const centre = [startBounds.minX + startBounds.width / 2, startBounds.minY + startBounds.height / 2];
+        const camera = FOLD_CAMERA_DISTANCE * Math.max(startBounds.width, startBounds.height);
+        // Valley folds rise towards a viewer above the paper, and away from one below it
+        const lift = (type === 'mountain' ? -1 : 1) * (this.view.side === 'bottom' ? -1 : 1);
+
+        // Draws the fold at `progress` from 0 (flat, unfolded) to 1 (folded)
+        const drawFrame = progress => {
+            const angle = Math.PI * progress;
+            const coords = start.vertices_coords.map((v, i) => {
+                if (!movingVertices.has(i)) return v;
+                const dist = signedDistance(v);
+                const planar = dist * Math.cos(angle) - dist;
+                const z = lift * Math.abs(dist) * Math.sin(angle);
+                const scale = camera / (camera - z);
+                const x = v[0] + planar * nx;
+                const y = v[1] + planar * ny;
+                return [centre[0] + (x - centre[0]) * scale, centre[1] + (y - centre[1]) * scale];
+            });
+
+            // Past 90° the moving faces show their other side
+            const turned = progress > 0.5;
+            const lerp = (a, b) => a + (b - a) * progress;
+            const minX = lerp(startBounds.minX, endBounds.minX);
+            const minY = lerp(startBounds.minY, endBounds.minY);
+            this.render({
+                ...end,
+                vertices_coords: coords,
+                faces_flipped: turned ? end.faces_flipped : start.faces_flipped,
+                faces_layer: turned ? end.faces_layer : rising
+            }, {
+                minX,
+                minY,
+                width: lerp(startBounds.maxX, endBounds.maxX) - minX,
+                height: lerp(startBounds.maxY, endBounds.maxY) - minY
+            }, false);
+        };
+
+        const animation = {};
+        animation.promise = new Promise(resolve => { animation.resolve = resolve; });
+        const startTime = performance.now();
+        const step = now => {
+            const t = Math.min((now - startTime) / this.animationDuration, 1);
+            const eased = t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+            if (t < 1) {
+                drawFrame(reverse ? 1 - eased : eased);
+                animation.frame = requestAnimationFrame(step);
+            } else {
+                this.animation = null;
+                this.render(final);
+                animation.resolve();
+            }
+        };
+
+        this.animation = animation;
+        drawFrame(reverse ? 1 : 0);
+        animation.frame = requestAnimationFrame(step);
+        return animation.promise;
+    }
+
+    // Cuts a playing fold animation short. The caller renders the new state.
+    stopAnimation() {
+        if (!this.animation) return;
+        cancelAnimationFrame(this.animation.frame);
+        this.animation.resolve();
+        this.animation = null;
+    }
+
+    // Resolves once the SVG shows the state after the last fold played
+    whenIdle() {
+        return this.animation ? this.animation.promise : Promise.resolve();
+    }
+
+    // Draws a hint for the next fold: the paper that moves, then (tier 2) the
+    // fold line, then (tier 3) the line styled as a valley or mountain fold.
+    // `graph` is the state the fold would be made on.
+    showHint(graph, fold, tier) {
+        const regions = PuzzleManager.movingPolygons(graph, fold.line, fold.type);
+        this.addOverlay('hint', group => {
+            regions.forEach(points => {
+                const path = document.createElementNS(SVG_NAMESPACE, 'path');
+                path.setAttribute('d', `M ${points.map(p => `${p[0]} ${p[1]}`).join(' L ')} Z`);
+                path.classList.add('hint-region');
+                group.appendChild(path);
+            });
+
+            if (tier >= 2) {
+                const line = document.createElementNS(SVG_NAMESPACE, 'line');
+                line.setAttribute('x1', fold.line.p1[0]);
+                line.setAttribute('y1', fold.line.p1[1]);
+                line.setAttribute('x2', fold.line.p2[0]);
+                line.setAttribute('y2', fold.line.p2[1]);
+                line.classList.add('hint-line');
+                if (tier >= 3) line.classList.add(fold.type);
+                group.appendChild(line);
+            }
+        });
+    }
+
+    // Outlines the failing regions of a validation result on the current SVG.
+    // Problems on the back side are drawn fainter than those on the picture
+    // side. In a split view each view only shows the problems of its side.
+    highlightRegions(regions) {
+        this.addOverlay('validation-regions', (group, side) => {
+            regions
+                .filter(region => !this.view.split || region.side === side)
+                .forEach(region => {
+                    const rect = document.createElementNS(SVG_NAMESPACE, 'rect');
+                    rect.setAttribute('x', region.x);
+                    rect.setAttribute('y', region.y);
+                    rect.setAttribute('width', region.width);
+                    rect.setAttribute('height', region.height);
+                    rect.classList.add('validation-region', region.side);
+                    group.appendChild(rect);
+                });
+        });
+    }
+}
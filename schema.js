@@ -0,0 +1,319 @@
+/**
+ * schema.js
+ * Checks puzzle files against the FOLD spec and our puzzle extensions
+ */
+
+// FOLD versions whose files we can read
+const SCHEMA_FILE_SPECS = [1, 1.1, 1.2];
+// Face classes every puzzle has; a palette adds colour classes of its own
+const SCHEMA_FACE_CLASSES = ['image', 'color'];
+// Palette colours: #rgb or #rrggbb
+const SCHEMA_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// FOLD edge assignments: boundary, mountain, valley, flat, unassigned, cut, join
+const SCHEMA_EDGE_ASSIGNMENTS = ['B', 'M', 'V', 'F', 'U', 'C', 'J'];
+// Smallest area a face may have before it counts as degenerate
+const SCHEMA_MIN_AREA = 1e-9;
+
+// Thrown by PuzzleManager.loadPuzzle when a puzzle file has problems
+export class PuzzleLoadError extends Error {
+    constructor(problems) {
+        super(`Invalid puzzle file (${problems.length} problem${problems.length === 1 ? '' : 's'}): ` +
+            problems.map(problem => `${problem.path}: ${problem.message}`).join('; '));
+        this.name = 'PuzzleLoadError';
+        this.problems = problems;
+    }
+}
+
+export class PuzzleSchema {
+    // Returns every problem found in the puzzle data as { path, message },
+    // where path is a JSON path such as $.faces_vertices[3][1]. An empty list
+    // means PuzzleManager can load the puzzle.
+    static validate(data) {
+        const problems = [];
+        const report = (path, message) => problems.push({ path, message });
+
+        if (!PuzzleSchema.isObject(data)) {
+            report('$', 'puzzle must be a JSON object');
+            return problems;
+        }
+
+        if (data.file_spec !== undefined && !SCHEMA_FILE_SPECS.includes(data.file_spec)) {
+            report('$.file_spec', `unsupported FOLD version ${JSON.stringify(data.file_spec)}, ` +
+                `expected one of ${SCHEMA_FILE_SPECS.join(', ')}`);
+        }
+        ['name', 'difficulty', 'image_url', 'back_image_url'].forEach(key => {
+            if (data[key] !== undefined && typeof data[key] !== 'string') {
+                report(`$.${key}`, 'must be a string');
+            }
+        });
+
+        const classes = PuzzleSchema.checkPalette(data, report);
+        const vertexCount = PuzzleSchema.checkVertices(data, report);
+        const faceCount = PuzzleSchema.checkFaces(data, vertexCount, classes, report);
+        const edgeCount = PuzzleSchema.checkEdges(data, vertexCount, report);
+        PuzzleSchema.checkArrayLengths(data, { vertices: vertexCount, faces: faceCount, edges: edgeCount }, report);
+
+        if (data.image_source !== undefined) {
+            PuzzleSchema.checkRect(data.image_source, '$.image_source', report);
+        }
+        if (data.back_image_source !== undefined) {
+            PuzzleSchema.checkRect(data.back_image_source, '$.back_image_source', report);
+        }
+        if (data.goal !== undefined) {
+            PuzzleSchema.checkGoal(data.goal, classes, typeof data.back_image_url === 'string', report);
+        }
+
+        return problems;
+    }
+
+    // The palette maps colour class names to fill colours. Returns the face
+    // classes the puzzle may use: the built-in ones and the palette's.
+    static checkPalette(data, report) {
+        if (data.palette === undefined) return SCHEMA_FACE_CLASSES;
+        if (!PuzzleSchema.isObject(data.palette)) {
+            report('$.palette', 'must be an object of class names and colours');
+            return SCHEMA_FACE_CLASSES;
+        }
+        Object.entries(data.palette).forEach(([name, colour]) => {
+            if (name === 'image') {
+                report('$.palette.image', '"image" is the picture class and cannot be a colour');
+            } else if (typeof colour !== 'string' || !SCHEMA_COLOR_PATTERN.test(colour)) {
+                report(`$.palette.${name}`, 'must be a colour such as "#e53935"');
+            }
+        });
+        return [...new Set([...SCHEMA_FACE_CLASSES, ...Object.keys(data.palette)])];
+    }
+
+    // Returns the number of vertices, or null when they cannot be used
+    static checkVertices(data, report) {
+        if (!Array.isArray(data.vertices_coords) || data.vertices_coords.length === 0) {
+            report('$.vertices_coords', 'must be a non-empty array of [x, y] points');
+            return null;
+        }
+        data.vertices_coords.forEach((coords, i) => {
+            if (!Array.isArray(coords) || coords.length !== 2 || !coords.every(Number.isFinite)) {
+                report(`$.vertices_coords[${i}]`, 'must be an [x, y] pair of numbers');
+            }
+        });
+        return data.vertices_coords.length;
+    }
+
+    // Checks face indices, and that every face is a convex polygon wound the
+    // same way as the first one, and the classes of their fronts and backs.
+    // Returns the number of faces, or null.
+    static checkFaces(data, vertexCount, classes, report) {
+        if (!Array.isArray(data.faces_vertices) || data.faces_vertices.length === 0) {
+            report('$.faces_vertices', 'must be a non-empty array of faces');
+            return null;
+        }
+
+        let winding = 0;
+        let windingFace = null;
+        data.faces_vertices.forEach((face, i) => {
+            const path = `$.faces_vertices[${i}]`;
+            if (!Array.isArray(face) || face.length < 3) {
+                report(path, 'must list at least 3 vertex indices');
+                return;
+            }
+            const indicesOk = face
+                .map((v, k) => PuzzleSchema.checkIndex(v, vertexCount, `${path}[${k}]`, 'vertices_coords', report))
+                .every(Boolean);
+            if (new Set(face).size !== face.length) {
+                report(path, 'repeats a vertex');
+                return;
+            }
+            if (!indicesOk || vertexCount === null) return;
+
+            const points = face.map(v => data.vertices_coords[v]);
+            if (!points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) return;
+
+            const area = PuzzleSchema.signedArea(points);
+            if (Math.abs(area) < SCHEMA_MIN_AREA) {
+                report(path, 'has no area');
+                return;
+            }
+            if (!PuzzleSchema.isConvex(points, Math.sign(area))) {
+                report(path, 'must be convex, folding splits faces as convex polygons');
+            }
+            if (winding === 0) {
+                winding = Math.sign(area);
+                windingFace = i;
+            } else if (Math.sign(area) !== winding) {
+                report(path, `is wound the other way from faces_vertices[${windingFace}]`);
+            }
+        });
+
+        ['faces_classes', 'faces_back_classes'].forEach(key => {
+            if (data[key] === undefined && key === 'faces_back_classes') return;
+            if (!Array.isArray(data[key])) {
+                report(`$.${key}`, `must be an array with one of ${classes.join(', ')} per face`);
+                return;
+            }
+            data[key].forEach((faceClass, i) => {
+                if (!classes.includes(faceClass)) {
+                    report(`$.${key}[${i}]`, `unknown class ${JSON.stringify(faceClass)}, ` +
+                        `expected one of ${classes.join(', ')}`);
+                }
+            });
+        });
+
+        return data.faces_vertices.length;
+    }
+
+    // Edges are optional; PuzzleManager derives them from the faces when left out.
+    // Returns the number of edges, or null.
+    static checkEdges(data, vertexCount, report) {
+        if (data.edges_vertices === undefined) {
+            if (data.edges_assignment !== undefined) {
+                report('$.edges_assignment', 'needs edges_vertices');
+            }
+            return null;
+        }
+        if (!Array.isArray(data.edges_vertices)) {
+            report('$.edges_vertices', 'must be an array of [u, v] vertex pairs');
+            return null;
+        }
+        data.edges_vertices.forEach((edge, i) => {
+            const path = `$.edges_vertices[${i}]`;
+            if (!Array.isArray(edge) || edge.length !== 2) {
+                report(path, 'must be a [u, v] pair of vertex indices');
+                return;
+            }
+            edge.forEach((v, k) => PuzzleSchema.checkIndex(v, vertexCount, `${path}[${k}]`, 'vertices_coords', report));
+            if (edge[0] === edge[1]) report(path, 'joins a vertex to itself');
+        });
+        if (Array.isArray(data.edges_assignment)) {
+            data.edges_assignment.forEach((assignment, i) => {
+                if (!SCHEMA_EDGE_ASSIGNMENTS.includes(assignment)) {
+                    report(`$.edges_assignment[${i}]`, `unknown assignment ${JSON.stringify(assignment)}, ` +
+                        `expected one of ${SCHEMA_EDGE_ASSIGNMENTS.join(', ')}`);
+                }
+            });
+        }
+        return data.edges_vertices.length;
+    }
+
+    // Every vertices_*, faces_* and edges_* array must have one entry per vertex, face or edge
+    static checkArrayLengths(data, counts, report) {
+        Object.keys(data).forEach(key => {
+            const prefix = key.split('_')[0];
+            if (!(prefix in counts) || counts[prefix] === null || !Array.isArray(data[key])) return;
+            if (data[key].length !== counts[prefix]) {
+                const source = { vertices: 'vertices_coords', faces: 'faces_vertices', edges: 'edges_vertices' }[prefix];
+                report(`$.${key}`, `has ${data[key].length} entries but ${source} has ${counts[prefix]}`);
+            }
+        });
+    }
+
+    // `classes` are the face classes of the puzzle, and backImage whether it
+    // has a back picture
+    static checkGoal(goal, classes, backImage, report) {
+        if (!PuzzleSchema.isObject(goal)) {
+            report('$.goal', 'must be an object');
+            return;
+        }
+        ['width', 'height'].forEach(key => {
+            if (goal[key] !== undefined && !(Number.isFinite(goal[key]) && goal[key] > 0)) {
+                report(`$.goal.${key}`, 'must be a positive number');
+            }
+        });
+        if (goal.orientation !== undefined && !['upright', 'any'].includes(goal.orientation)) {
+            report('$.goal.orientation', 'must be "upright" or "any"');
+        }
+        if (goal.picture_side !== undefined && !['top', 'bottom'].includes(goal.picture_side)) {
+            report('$.goal.picture_side', 'must be "top" or "bottom"');
+        }
+        if (goal.sides !== undefined) {
+            PuzzleSchema.checkSides(goal.sides, classes, backImage, report);
+        }
+        if (goal.image_region !== undefined && goal.image_region !== null) {
+            PuzzleSchema.checkRect(goal.image_region, '$.goal.image_region', report);
+        }
+        if (goal.max_folds !== undefined && goal.max_folds !== null &&
+            !(Number.isInteger(goal.max_folds) && goal.max_folds > 0)) {
+            report('$.goal.max_folds', 'must be a positive whole number or null');
+        }
+    }
+
+    // Each side wants a picture, a colour class or a pattern of classes, or is
+    // left out (or null) to be not checked
+    static checkSides(sides, classes, backImage, report) {
+        if (!PuzzleSchema.isObject(sides)) {
+            report('$.goal.sides', 'must be an object with top and bottom');
+            return;
+        }
+        const targets = ['image', ...(backImage ? ['back_image'] : []), ...classes.filter(name => name !== 'image')];
+        Object.entries(sides).forEach(([side, target]) => {
+            const path = `$.goal.sides.${side}`;
+            if (!['top', 'bottom'].includes(side)) {
+                report(path, 'unknown side, expected top or bottom');
+            } else if (target === null) {
+                return;
+            } else if (typeof target === 'string') {
+                if (target === 'back_image' && !backImage) {
+                    report(path, '"back_image" needs a back_image_url');
+                } else if (!targets.includes(target)) {
+                    report(path, `unknown target ${JSON.stringify(target)}, expected one of ${targets.join(', ')}`);
+                }
+            } else if (!PuzzleSchema.isObject(target) || !Array.isArray(target.pattern) || target.pattern.length === 0) {
+                report(path, 'must be a target name or { pattern: [[class, ...], ...] }');
+            } else {
+                target.pattern.forEach((row, i) => {
+                    if (!Array.isArray(row) || row.length === 0) {
+                        report(`${path}.pattern[${i}]`, 'must be a non-empty array of classes');
+                        return;
+                    }
+                    row.forEach((name, j) => {
+                        if (!classes.includes(name)) {
+                            report(`${path}.pattern[${i}][${j}]`, `unknown class ${JSON.stringify(name)}, ` +
+                                `expected one of ${classes.join(', ')}`);
+                        }
+                    });
+                });
+            }
+        });
+    }
+
+    static checkRect(rect, path, report) {
+        if (!Array.isArray(rect) || rect.length !== 4 || !rect.every(Number.isFinite)) {
+            report(path, 'must be [x, y, width, height]');
+        } else if (rect[2] <= 0 || rect[3] <= 0) {
+            report(path, 'must have a positive width and height');
+        }
+    }
+
+    static checkIndex(index, count, path, target, report) {
+        if (!Number.isInteger(index) || index < 0) {
+            report(path, 'must be a non-negative whole number');
+            return false;
+        }
+        if (count !== null && index >= count) {
+            report(path, `index ${index} is out of range, ${target} has ${count} entries`);
+            return false;
+        }
+        return true;
+    }
+
+    static signedArea(points) {
+        let area = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            area += p[0] * q[1] - q[0] * p[1];
+        });
+        return area / 2;
+    }
+
+    // Every turn along the boundary goes the same way as the winding
+    static isConvex(points, winding) {
+        return points.every((p, i) => {
+            const q = points[(i + 1) % points.length];
+            const r = points[(i + 2) % points.length];
+            const turn = (q[0] - p[0]) * (r[1] - q[1]) - (q[1] - p[1]) * (r[0] - q[0]);
+            return turn * winding > -SCHEMA_MIN_AREA;
+        });
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
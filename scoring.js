@@ -0,0 +1,58 @@
+/**
+ * scoring.js
+ * Scores solves from folds, time, undos and hints, and times challenges
+ */
+
+// Points of a perfect solve: the fewest folds, within par time, no undos or hints
+const SCORE_MAX = 1000;
+// Points lost per fold beyond the shortest solution, per undo and per hint tier
+const SCORE_EXTRA_FOLD_PENALTY = 100;
+const SCORE_UNDO_PENALTY = 20;
+const SCORE_HINT_PENALTY = 75;
+// Par time is this many seconds per fold of the shortest solution; each
+// second over par costs SCORE_TIME_PENALTY points, up to SCORE_TIME_MAX_PENALTY
+const SCORE_PAR_SECONDS_PER_FOLD = 30;
+const SCORE_TIME_PENALTY = 2;
+const SCORE_TIME_MAX_PENALTY = 400;
+// A timed challenge allows a base time plus time per fold of the shortest
+// solution, and pays a bonus per second left when it is solved
+const CHALLENGE_BASE_SECONDS = 60;
+const CHALLENGE_SECONDS_PER_FOLD = 30;
+const CHALLENGE_BONUS_PER_SECOND = 2;
+
+export class Scoring {
+    // Scores a solve. attempt: folds (made), optimum (folds of the shortest
+    // solution, or null when unknown: then the solve counts as shortest),
+    // time (ms), undos, hints (tiers revealed) and, in a timed challenge,
+    // timeLimit (ms). Returns { score, breakdown } where breakdown lists the
+    // points lost to extra folds, time, undos and hints and the challenge
+    // bonus. The score never drops below 0.
+    static score(attempt) {
+        const { folds, time, undos = 0, hints = 0, timeLimit = null } = attempt;
+        const optimum = attempt.optimum === null || attempt.optimum === undefined
+            ? folds
+            : Math.min(attempt.optimum, folds);
+        const seconds = time / 1000;
+        const par = SCORE_PAR_SECONDS_PER_FOLD * Math.max(1, optimum);
+
+        // Penalties as negative points; 0 rather than -0 when nothing is lost
+        const lose = points => (points > 0 ? -points : 0);
+        const breakdown = {
+            folds: lose(SCORE_EXTRA_FOLD_PENALTY * (folds - optimum)),
+            time: lose(Math.min(SCORE_TIME_MAX_PENALTY, Math.round(Math.max(0, seconds - par) * SCORE_TIME_PENALTY))),
+            undos: lose(SCORE_UNDO_PENALTY * undos),
+            hints: lose(SCORE_HINT_PENALTY * hints),
+            bonus: timeLimit === null
+                ? 0
+                : Math.round(Math.max(0, timeLimit - time) / 1000) * CHALLENGE_BONUS_PER_SECOND
+        };
+        const total = Object.values(breakdown).reduce((sum, points) => sum + points, SCORE_MAX);
+        return { score: Math.max(0, total), breakdown };
+    }
+
+    // Time allowed for a timed challenge, in ms, given the folds of the
+    // shortest solution (null when unknown)
+    static challengeLimit(optimum) {
+        return (CHALLENGE_BASE_SECONDS + CHALLENGE_SECONDS_PER_FOLD * Math.max(1, optimum || 0)) * 1000;
+    }
+}
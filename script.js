@@ -0,0 +1,96 @@
+/**
+ * script.js
+ * Compact text form of a fold sequence, for sharing solves as links
+ */
+
+import { PuzzleManager } from './puzzle.js';
+
+// A fold is its type letter and the two points of its fold line, and
+// optionally the flap point after an @:
+//   v(0,0)-(2,2);m(1,0)-(1,2)@(1.5,1)
+// Folds are separated by semicolons and whitespace is ignored.
+const FOLD_SCRIPT_TYPES = { v: 'valley', m: 'mountain' };
+// Decimal places kept when writing coordinates
+const FOLD_SCRIPT_PRECISION = 4;
+
+const FOLD_SCRIPT_NUMBER = '(-?(?:\\d+\\.?\\d*|\\.\\d+))';
+const FOLD_SCRIPT_POINT = `\\(${FOLD_SCRIPT_NUMBER},${FOLD_SCRIPT_NUMBER}\\)`;
+const FOLD_SCRIPT_FOLD = new RegExp(
+    `^([vm])${FOLD_SCRIPT_POINT}-${FOLD_SCRIPT_POINT}(?:@${FOLD_SCRIPT_POINT})?$`, 'i');
+
+// Thrown by FoldScript.parse when a script cannot be read
+export class FoldScriptError extends Error {
+    constructor(message, index = null) {
+        super(index === null ? message : `Fold ${index + 1}: ${message}`);
+        this.name = 'FoldScriptError';
+        this.index = index;
+    }
+}
+
+export class FoldScript {
+    // Writes folds ({ line, type } as executeFold takes them) as a script
+    static stringify(folds) {
+        const point = p => `(${p.map(v => +v.toFixed(FOLD_SCRIPT_PRECISION)).join(',')})`;
+        return folds.map(({ line, type }) => {
+            const letter = type === 'mountain' ? 'm' : 'v';
+            const flap = line.flap ? `@${point(line.flap)}` : '';
+            return `${letter}${point(line.p1)}-${point(line.p2)}${flap}`;
+        }).join(';');
+    }
+
+    // Reads a script back into folds. An empty script has no folds.
+    static parse(script) {
+        const text = String(script).replace(/\s+/g, '');
+        if (text === '') return [];
+
+        return text.split(';').map((step, i) => {
+            const match = FOLD_SCRIPT_FOLD.exec(step);
+            if (!match) {
+                throw new FoldScriptError(`cannot read "${step}", expected a fold like v(0,0)-(2,2)`, i);
+            }
+            const numbers = match.slice(2).map(value => (value === undefined ? null : Number(value)));
+            const line = { p1: numbers.slice(0, 2), p2: numbers.slice(2, 4) };
+            if (line.p1[0] === line.p2[0] && line.p1[1] === line.p2[1]) {
+                throw new FoldScriptError(`"${step}" has the same point twice`, i);
+            }
+            if (numbers[4] !== null) line.flap = numbers.slice(4, 6);
+            return { line, type: FOLD_SCRIPT_TYPES[match[1].toLowerCase()] };
+        });
+    }
+
+    // URL hash naming a puzzle and the folds to replay on it:
+    // #sample-easy:v(0,0)-(2,2);m(1,0)-(1,2)
+    static toHash(puzzleId, folds) {
+        const script = FoldScript.stringify(folds);
+        return `#${encodeURIComponent(puzzleId)}${script ? `:${script}` : ''}`;
+    }
+
+    // Reads a URL hash written by toHash as { puzzleId, folds }, or returns
+    // null when the hash is empty. Throws FoldScriptError on a bad script.
+    static fromHash(hash) {
+        const text = decodeURIComponent(String(hash).replace(/^#/, ''));
+        if (text === '') return null;
+        const colon = text.indexOf(':');
+        return colon === -1
+            ? { puzzleId: text, folds: [] }
+            : { puzzleId: text.slice(0, colon), folds: FoldScript.parse(text.slice(colon + 1)) };
+    }
+
+    // Folds a puzzle headlessly: loads the puzzle data, plays the script on it
+    // and checks the result. Returns { graph, folds, result } where result is
+    // what PuzzleManager.validateState reports for the final state. Throws
+    // FoldScriptError on a fold that PuzzleManager.checkFold rejects.
+    static play(puzzleData, script) {
+        const folds = Array.isArray(script) ? script : FoldScript.parse(script);
+        const puzzleManager = new PuzzleManager();
+        puzzleManager.loadPuzzle(puzzleData);
+
+        let graph = JSON.parse(JSON.stringify(puzzleManager.getInitialState()));
+        folds.forEach((fold, i) => {
+            const check = PuzzleManager.checkFold(graph, fold.line, fold.type);
+            if (!check.legal) throw new FoldScriptError(`illegal fold, ${check.message}`, i);
+            graph = check.graph;
+        });
+        return { graph, folds, result: puzzleManager.validateState(graph, folds.length) };
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * solver.js
+ * Finds the shortest fold sequence that solves a puzzle
+ */
+
+import { PuzzleManager } from './puzzle.js';
+
+// Fold limit for puzzles whose goal sets no max_folds
+const SOLVER_DEFAULT_DEPTH = 6;
+// Number of distinct states the search may visit before giving up
+const SOLVER_MAX_STATES = 20000;
+// Probe points per grid unit (in each direction) used to recognise equal states
+const SOLVER_PROBES_PER_UNIT = 4;
+// Tolerance when comparing grid positions and distances from a line
+const SOLVER_EPSILON = 1e-6;
+
+export class PuzzleSolver {
+    constructor(puzzleManager, options = {}) {
+        this.puzzleManager = puzzleManager;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : null;
+        this.maxStates = options.maxStates || SOLVER_MAX_STATES;
+
+        const sheet = puzzleManager.getInitialState();
+        this.origin = PuzzleManager.getBounds(sheet.vertices_coords);
+        this.unit = PuzzleSolver.gridUnit(sheet.vertices_coords);
+        this.probes = this.createProbes(sheet);
+    }
+
+    // Breadth-first search over fold sequences, starting from `startGraph`
+    // after `foldsMade` folds. Returns { solvable: true, folds, explored } with
+    // the shortest sequence of { line, type } folds, or { solvable: false,
+    // reason, explored } where reason is 'exhausted' when no sequence within
+    // the fold limit works and 'limit' when the search gave up early.
+    solve(startGraph = this.puzzleManager.getInitialState(), foldsMade = 0) {
+        const goal = this.puzzleManager.getGoal();
+        let maxDepth = this.maxDepth !== null ? this.maxDepth : SOLVER_DEFAULT_DEPTH;
+        if (goal.max_folds !== null) {
+            maxDepth = Math.min(maxDepth, goal.max_folds - foldsMade);
+        }
+
+        const start = JSON.parse(JSON.stringify(startGraph));
+        if (this.isSolved(start)) {
+            return { solvable: true, folds: [], explored: 1 };
+        }
+
+        const seen = new Set([this.canonicalKey(start)]);
+        let frontier = [{ graph: start, folds: [] }];
+        let explored = 1;
+
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            for (const node of frontier) {
+                for (const fold of this.candidateFolds(node.graph)) {
+                    // Only folds that real paper allows
+                    const { legal, graph } = PuzzleManager.checkFold(node.graph, fold.line, fold.type);
+                    if (!legal) continue;
+                    const key = this.canonicalKey(graph);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    explored++;
+
+                    const folds = [...node.folds, fold];
+                    if (this.isSolved(graph)) {
+                        return { solvable: true, folds, explored };
+                    }
+                    if (explored >= this.maxStates) {
+                        return { solvable: false, reason: 'limit', explored };
+                    }
+                    next.push({ graph, folds });
+                }
+            }
+            frontier = next;
+        }
+
+        return { solvable: false, reason: 'exhausted', explored };
+    }
+
+    isSolved(graph) {
+        return this.puzzleManager.validateState(graph).solved;
+    }
+
+    // Every distinct fold of the current state along a candidate line: for both
+    // valley and mountain, the whole paper on either side of the line, and every
+    // flap that can be picked by clicking its top face. Folds that would move
+    // the same faces are only listed once.
+    candidateFolds(graph) {
+        const folds = [];
+
+        this.candidateLines(graph).forEach(line => {
+            const { signedDistance } = PuzzleManager.lineFrame(line);
+            const split = PuzzleManager.splitGraph(JSON.parse(JSON.stringify(graph)), signedDistance);
+            const sides = split.faces_vertices.map(face => PuzzleManager.faceSide(split, face, signedDistance));
+            const adjacency = PuzzleManager.faceAdjacency(split);
+
+            // One clickable point per flap: the centre of a face that is on top there
+            const flapPoints = new Map();
+            split.faces_vertices.forEach(face => {
+                const points = face.map(v => split.vertices_coords[v]);
+                const centre = [0, 1].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+                const seed = PuzzleManager.faceAt(split, centre);
+                if (seed === -1 || sides[seed] === 0) return;
+                const component = [...PuzzleManager.flapComponent(split, seed, signedDistance, adjacency)];
+                const key = component.sort((a, b) => a - b).join(',');
+                if (!flapPoints.has(key)) flapPoints.set(key, { seed, centre });
+            });
+
+            ['valley', 'mountain'].forEach(type => {
+                const movingSets = new Set();
+                const add = (foldLine, moving) => {
+                    const key = [...moving].sort((a, b) => a - b).join(',');
+                    if (moving.size === 0 || movingSets.has(key)) return;
+                    movingSets.add(key);
+                    folds.push({ line: foldLine, type });
+                };
+
+                // The positive side moves by default, so reverse the line for the other side
+                add(line, new Set(sides.map((_, i) => i).filter(i => sides[i] > 0)));
+                add({ p1: line.p2, p2: line.p1 }, new Set(sides.map((_, i) => i).filter(i => sides[i] < 0)));
+
+                flapPoints.forEach(({ seed, centre }) => {
+                    add({ ...line, flap: centre }, PuzzleManager.selectFlap(split, seed, signedDistance, type));
+                });
+            });
+        });
+
+        return folds;
+    }
+
+    // Grid lines, and the diagonals through grid points, that have paper on both sides
+    candidateLines(graph) {
+        const bounds = PuzzleManager.getBounds(graph.vertices_coords);
+        const unit = this.unit;
+        const gridValues = (offset, min, max) => {
+            const values = [];
+            for (let k = Math.ceil((min - offset) / unit - SOLVER_EPSILON); offset + k * unit <= max + SOLVER_EPSILON; k++) {
+                values.push(offset + k * unit);
+            }
+            return values;
+        };
+
+        const lines = [];
+        gridValues(this.origin.minX, bounds.minX, bounds.maxX).forEach(x => {
+            lines.push({ p1: [x, bounds.minY], p2: [x, bounds.maxY] });
+        });
+        gridValues(this.origin.minY, bounds.minY, bounds.maxY).forEach(y => {
+            lines.push({ p1: [bounds.minX, y], p2: [bounds.maxX, y] });
+        });
+        // x - y = c and x + y = c through grid points
+        gridValues(this.origin.minX - this.origin.minY, bounds.minX - bounds.maxY, bounds.maxX - bounds.minY)
+            .forEach(c => lines.push(PuzzleManager.clipLine([c, 0], [1, 1], bounds)));
+        gridValues(this.origin.minX + this.origin.minY, bounds.minX + bounds.minY, bounds.maxX + bounds.maxY)
+            .forEach(c => lines.push(PuzzleManager.clipLine([c, 0], [1, -1], bounds)));
+
+        return lines.filter(line => {
+            if (!line) return false;
+            const { signedDistance } = PuzzleManager.lineFrame(line);
+            const distances = graph.vertices_coords.map(signedDistance);
+            return distances.some(d => d > SOLVER_EPSILON) && distances.some(d => d < -SOLVER_EPSILON);
+        });
+    }
+
+    // Probe points spread over the unfolded sheet, nudged off the grid so none
+    // of them lies on a grid line or diagonal
+    createProbes(sheet) {
+        const step = this.unit / SOLVER_PROBES_PER_UNIT;
+        const polygons = sheet.faces_vertices.map(face => face.map(v => sheet.vertices_coords[v]));
+        const [offsetX, offsetY] = PuzzleManager.sampleOffset;
+        const probes = [];
+        for (let y = this.origin.minY + offsetY * step; y < this.origin.maxY; y += step) {
+            for (let x = this.origin.minX + offsetX * step; x < this.origin.maxX; x += step) {
+                if (polygons.some(polygon => PuzzleManager.pointInPolygon([x, y], polygon))) {
+                    probes.push([x, y]);
+                }
+            }
+        }
+        return probes;
+    }
+
+    // Describes a state by where every probe point of the paper ended up and
+    // how many layers of paper lie beneath it there. Two fold sequences that
+    // produce the same folded paper get the same key.
+    canonicalKey(graph) {
+        const layers = graph.faces_layer;
+        const origins = graph.vertices_origin || graph.vertices_coords;
+        const unfolded = graph.faces_vertices.map(face => face.map(v => origins[v]));
+        const folded = graph.faces_vertices.map(face => face.map(v => graph.vertices_coords[v]));
+        const round = value => Math.round(value * 1e4) / 1e4 + 0;
+
+        return this.probes.map((probe, id) => {
+            const face = unfolded.findIndex(polygon => PuzzleManager.pointInPolygon(probe, polygon));
+            if (face === -1) return '';
+            const position = PuzzleManager.mapFromOrigin(graph, face, probe);
+            const below = folded.filter((polygon, other) =>
+                layers[other] < layers[face] && PuzzleManager.pointInPolygon(position, polygon)).length;
+            return `${id}@${position.map(round).join(',')}#${below}`;
+        }).join(';');
+    }
+
+    // Smallest spacing between the distinct x or y coordinates of the sheet
+    static gridUnit(coords) {
+        let unit = Infinity;
+        [0, 1].forEach(k => {
+            const values = [...new Set(coords.map(v => v[k]))].sort((a, b) => a - b);
+            for (let i = 1; i < values.length; i++) {
+                const gap = values[i] - values[i - 1];
+                if (gap > SOLVER_EPSILON) unit = Math.min(unit, gap);
+            }
+        });
+        return Number.isFinite(unit) ? unit : 1;
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * test/catalog.test.js
+ * The puzzle of the day picked from the catalog
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PuzzleCatalog } from '../catalog.js';
+
+function catalogOf(count) {
+    const catalog = new PuzzleCatalog();
+    catalog.entries = Array.from({ length: count }, (_, i) => ({ id: `puzzle-${i}` }));
+    return catalog;
+}
+
+test('dayKey names the local date', () => {
+    assert.equal(PuzzleCatalog.dayKey(new Date(2025, 0, 31, 23, 59)), '2025-01-31');
+    assert.equal(PuzzleCatalog.dayKey(new Date(2025, 11, 1, 0, 0)), '2025-12-01');
+});
+
+test('the puzzle of the day stays the same all day', () => {
+    const catalog = catalogOf(7);
+    const morning = catalog.getDailyEntry(new Date(2025, 4, 6, 0, 1));
+
+    assert.equal(catalog.getDailyEntry(new Date(2025, 4, 6, 12, 0)), morning);
+    assert.equal(catalog.getDailyEntry(new Date(2025, 4, 6, 23, 59)), morning);
+});
+
+test('the puzzle of the day changes between days', () => {
+    const catalog = catalogOf(7);
+    const picks = Array.from({ length: 28 }, (_, day) => catalog.getDailyEntry(new Date(2025, 1, day + 1)).id);
+
+    assert.ok(new Set(picks).size >= 4, `only ${new Set(picks).size} puzzles in four weeks`);
+    assert.ok(picks.some((id, day) => day > 0 && id !== picks[day - 1]));
+});
+
+test('an empty catalog has no puzzle of the day', () => {
+    assert.equal(catalogOf(0).getDailyEntry(new Date(2025, 4, 6)), null);
+});
@@ -0,0 +1,52 @@
+/**
+ * test/engine.test.js
+ * FoldingEngine run headless: folds, undo and redo, and illegal folds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FoldingEngine, IllegalFoldError } from '../folding.js';
+import { loadPuzzle } from './helpers.js';
+
+function startEngine(name, options = {}) {
+    const puzzleManager = loadPuzzle(name);
+    const engine = new FoldingEngine(options);
+    engine.setPuzzleManager(puzzleManager);
+    engine.initialize(puzzleManager.getInitialState());
+    return { engine, puzzleManager };
+}
+
+test('a headless engine folds, undoes and redoes', async () => {
+    const { engine, puzzleManager } = startEngine('sample-easy');
+    await engine.executeFold({ p1: [2, 1], p2: [0, 1] }, 'mountain');
+    await engine.executeFold({ p1: [1, 1], p2: [1, 2] }, 'mountain');
+    assert.equal(engine.getFoldCount(), 2);
+    assert.equal(puzzleManager.validateState(engine.getCurrentState(), engine.getFoldCount()).solved, true);
+
+    await engine.undo();
+    assert.equal(engine.getFoldCount(), 1);
+    assert.equal(puzzleManager.validateState(engine.getCurrentState(), engine.getFoldCount()).solved, false);
+
+    await engine.redo();
+    assert.equal(puzzleManager.validateState(engine.getCurrentState(), engine.getFoldCount()).solved, true);
+});
+
+test('an illegal fold is rejected and leaves the state as it was', async () => {
+    const { engine } = startEngine('sample-easy');
+    const before = JSON.stringify(engine.getCurrentState());
+
+    await assert.rejects(engine.executeFold({ p1: [1, 0], p2: [1, 1] }, 'valley'),
+        error => error instanceof IllegalFoldError && error.reason === 'partial');
+    assert.equal(engine.getFoldCount(), 0);
+    assert.equal(JSON.stringify(engine.getCurrentState()), before);
+});
+
+test('the engine announces each fold when given an announcer', async () => {
+    const said = [];
+    const { engine } = startEngine('strip.json', { announce: text => said.push(text) });
+    await engine.executeFold({ p1: [1, 1], p2: [1, 0] }, 'mountain');
+
+    assert.equal(said.length, 2);
+    assert.match(said[1], /^Mountain fold along \(1, 1\) to \(1, 0\)\. The paper is 1 by 1, 2 layers at most\./);
+});
@@ -0,0 +1,97 @@
+/**
+ * test/fold.test.js
+ * Fold geometry: foldGraph and the legality checks of checkFold
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PuzzleManager } from '../puzzle.js';
+import { FoldScript } from '../script.js';
+import { loadPuzzle, play } from './helpers.js';
+
+// The strip fixture is a 2x1 sheet, the picture on its left cell
+const HALF = { p1: [1, 1], p2: [1, 0] };
+
+test('foldGraph turns the moving side over the line', () => {
+    const graph = play(loadPuzzle('strip.json'), 'm(1,1)-(1,0)');
+
+    assert.deepEqual(PuzzleManager.getBounds(graph.vertices_coords),
+        { minX: 0, minY: 0, maxX: 1, maxY: 1, width: 1, height: 1 });
+    assert.deepEqual(graph.faces_flipped, [false, true]);
+    assert.equal(graph.edges_assignment.filter(assignment => assignment === 'M').length, 1);
+});
+
+test('foldGraph stacks valley flaps on top and mountain flaps underneath', () => {
+    const strip = loadPuzzle('strip.json');
+    const valley = play(strip, 'v(1,1)-(1,0)');
+    const mountain = play(strip, 'm(1,1)-(1,0)');
+
+    assert.ok(valley.faces_layer[1] > valley.faces_layer[0]);
+    assert.ok(mountain.faces_layer[1] < mountain.faces_layer[0]);
+});
+
+test('foldGraph splits the faces the line crosses', () => {
+    const graph = play(loadPuzzle('strip.json'), 'v(0.5,0)-(0.5,1)');
+
+    assert.equal(graph.faces_vertices.length, 3);
+    assert.deepEqual(PuzzleManager.getBounds(graph.vertices_coords),
+        { minX: 0.5, minY: 0, maxX: 2, maxY: 1, width: 1.5, height: 1 });
+});
+
+test('foldGraph keeps the area of the paper', () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const area = (graph, face) => Math.abs(graph.faces_vertices[face].reduce((sum, v, i, face) => {
+        const [a, b] = [graph.vertices_coords[v], graph.vertices_coords[face[(i + 1) % face.length]]];
+        return sum + a[0] * b[1] - b[0] * a[1];
+    }, 0)) / 2;
+    // Crosses the diagonal of the top left cell and the cells below it
+    const graph = play(puzzleManager, 'v(0.5,0)-(0.5,2)');
+    const total = graph.faces_vertices.reduce((sum, _, face) => sum + area(graph, face), 0);
+
+    assert.equal(graph.faces_vertices.length, 8);
+    assert.equal(total, 4);
+});
+
+test('checkFold returns a folded copy of a legal fold', () => {
+    const graph = loadPuzzle('strip.json').getInitialState();
+    const before = JSON.stringify(graph);
+    const check = PuzzleManager.checkFold(graph, HALF, 'mountain');
+
+    assert.equal(check.legal, true);
+    assert.equal(check.reason, null);
+    assert.deepEqual(check.graph, PuzzleManager.foldGraph(JSON.parse(before), HALF, 'mountain'));
+    assert.equal(JSON.stringify(graph), before);
+});
+
+test('checkFold rejects a line that misses the paper', () => {
+    const graph = loadPuzzle('strip.json').getInitialState();
+    const check = PuzzleManager.checkFold(graph, { p1: [3, 0], p2: [3, 1] }, 'valley');
+
+    assert.equal(check.legal, false);
+    assert.equal(check.reason, 'misses');
+    assert.equal(check.graph, null);
+});
+
+test('checkFold rejects a line that stops short of the edge of the paper', () => {
+    const graph = loadPuzzle('sample-easy').getInitialState();
+    const check = PuzzleManager.checkFold(graph, { p1: [1, 0], p2: [1, 1] }, 'valley');
+
+    assert.equal(check.legal, false);
+    assert.equal(check.reason, 'partial');
+});
+
+test('checkFold accepts every fold of the known solutions', () => {
+    [
+        ['sample-easy', 'm(2,1)-(0,1);m(1,1)-(1,2)'],
+        ['checkerboard', 'v(1,0)-(1,4);v(3,4)-(3,0);v(1,2)-(3,2)'],
+        ['generated-7.json', 'm(1,0)-(1,2);m(2,1)-(1,1)']
+    ].forEach(([name, script]) => {
+        const puzzleManager = loadPuzzle(name);
+        FoldScript.parse(script).reduce((graph, fold) => {
+            const check = PuzzleManager.checkFold(graph, fold.line, fold.type);
+            assert.equal(check.legal, true, `${name}: ${fold.type} fold, ${check.message}`);
+            return check.graph;
+        }, puzzleManager.getInitialState());
+    });
+});
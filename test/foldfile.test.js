@@ -0,0 +1,75 @@
+/**
+ * test/foldfile.test.js
+ * Exporting states as FOLD files and importing them again
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PuzzleManager } from '../puzzle.js';
+import { FoldFile } from '../foldfile.js';
+import { loadPuzzle, play } from './helpers.js';
+
+const STRIP_FOLD = { line: { p1: [1, 1], p2: [1, 0] }, type: 'mountain' };
+
+test('an export holds the crease pattern and the folded form', () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    const fold = FoldFile.fromState(play(puzzleManager, 'm(1,1)-(1,0)'), puzzleManager.puzzleData, [STRIP_FOLD]);
+
+    assert.deepEqual(fold.vertices_coords, puzzleManager.puzzleData.vertices_coords);
+    assert.deepEqual(fold.edges_vertices, [[0, 1], [1, 4], [4, 3], [3, 0], [1, 2], [2, 5], [5, 4]]);
+    assert.deepEqual(fold.edges_assignment, ['B', 'M', 'B', 'B', 'B', 'B', 'B']);
+    assert.deepEqual(fold.edges_foldAngle, [0, -180, 0, 0, 0, 0, 0]);
+
+    const [frame] = fold.file_frames;
+    assert.deepEqual(frame.frame_classes, ['foldedForm']);
+    assert.deepEqual(frame.vertices_coords, [[0, 0], [1, 0], [0, 0], [0, 1], [1, 1], [0, 1]]);
+    assert.deepEqual(frame.faces_orientation, [1, -1]);
+    assert.deepEqual(frame.faceOrders, [[0, 1, -1]]);
+    assert.equal(fold.faces_flipped, undefined);
+});
+
+test('an imported export plays its folds back to the same state', () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    const graph = play(puzzleManager, 'm(1,1)-(1,0)');
+    const fold = FoldFile.fromState(graph, puzzleManager.puzzleData, [STRIP_FOLD]);
+
+    const { puzzle, folds } = FoldFile.toPuzzle(JSON.parse(JSON.stringify(fold)));
+    assert.deepEqual(folds, [STRIP_FOLD]);
+    assert.deepEqual(puzzle.goal, puzzleManager.puzzleData.goal);
+    assert.deepEqual(puzzle.faces_classes, ['image', 'color']);
+
+    const imported = new PuzzleManager();
+    imported.loadPuzzle(puzzle);
+    const replayed = folds.reduce((state, { line, type }) => PuzzleManager.foldGraph(state, line, type),
+        JSON.parse(JSON.stringify(imported.getInitialState())));
+    assert.deepEqual(replayed.vertices_coords, graph.vertices_coords);
+    assert.deepEqual(replayed.faces_flipped, graph.faces_flipped);
+    assert.deepEqual(FoldFile.fromState(replayed, puzzle, folds).file_frames, fold.file_frames);
+});
+
+test('a crease pattern with only edges becomes a puzzle of the size of its folded form', () => {
+    // A 20 by 10 sheet from another tool, with one valley crease down the middle
+    const { puzzle, folds } = FoldFile.toPuzzle({
+        file_spec: 1.1,
+        vertices_coords: [[0, 0], [10, 0], [20, 0], [20, 10], [10, 10], [0, 10]],
+        edges_vertices: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 0], [1, 4]],
+        edges_assignment: ['B', 'B', 'B', 'B', 'B', 'B', 'V']
+    });
+
+    assert.deepEqual(folds, []);
+    assert.equal(puzzle.name, 'Imported Crease Pattern');
+    assert.deepEqual(puzzle.vertices_coords, [[0, 0], [1, 0], [2, 0], [2, 1], [1, 1], [0, 1]]);
+    assert.deepEqual(puzzle.faces_vertices, [[0, 1, 4, 5], [1, 2, 3, 4]]);
+    // The right half folds over onto the left, so only it is seen from above
+    assert.deepEqual(puzzle.faces_classes, ['color', 'image']);
+    assert.deepEqual(puzzle.edges_assignment, ['B', 'V', 'B', 'B', 'B', 'B', 'B']);
+    assert.deepEqual(puzzle.goal, { width: 1, height: 1, orientation: 'any', picture_side: 'top' });
+
+    assert.doesNotThrow(() => new PuzzleManager().loadPuzzle(puzzle));
+});
+
+test('a crease pattern that is not flat cannot be imported', () => {
+    assert.throws(() => FoldFile.toPuzzle({ vertices_coords: [[0, 0, 0], [1, 0, 1], [0, 1, 0]], faces_vertices: [[0, 1, 2]] }),
+        { message: 'FOLD crease pattern is not flat (a vertex has z = 1)' });
+});
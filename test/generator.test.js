@@ -0,0 +1,20 @@
+/**
+ * test/generator.test.js
+ * Puzzles generated from seeds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PuzzleGenerator } from '../generator.js';
+import { puzzleData } from './helpers.js';
+
+test('seed 7 generates the fixture puzzle', () => {
+    // The fixture was written by `node tools/generate.js 7`, so a change to
+    // the generator that changes its puzzles shows up here
+    const generator = new PuzzleGenerator();
+    const puzzle = generator.generate(7);
+
+    assert.deepEqual(puzzle, puzzleData('generated-7.json'));
+    assert.deepEqual(generator.generate(7), puzzle);
+});
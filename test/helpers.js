@@ -0,0 +1,29 @@
+/**
+ * test/helpers.js
+ * Puzzle loading and fold playing shared by the tests
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { PuzzleManager } from '../puzzle.js';
+import { FoldScript } from '../script.js';
+
+// Puzzle files by name: those in puzzles/ by id, the fixtures by file name
+export function puzzleData(name) {
+    const file = name.endsWith('.json') ? `fixtures/${name}` : `../puzzles/${name}.json`;
+    return JSON.parse(fs.readFileSync(fileURLToPath(new URL(file, import.meta.url)), 'utf8'));
+}
+
+export function loadPuzzle(name) {
+    const puzzleManager = new PuzzleManager();
+    puzzleManager.loadPuzzle(puzzleData(name));
+    return puzzleManager;
+}
+
+// The state after the folds of a fold script, played with foldGraph on a copy
+// of the puzzle's initial state
+export function play(puzzleManager, script) {
+    const graph = JSON.parse(JSON.stringify(puzzleManager.getInitialState()));
+    return FoldScript.parse(script).reduce((state, fold) => PuzzleManager.foldGraph(state, fold.line, fold.type), graph);
+}
@@ -0,0 +1,77 @@
+/**
+ * test/hints.test.js
+ * Hint tiers from HintProvider, searching in the same thread and in a worker
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HintProvider } from '../hints.js';
+import { answer } from '../hint-worker.js';
+import { loadPuzzle, play } from './helpers.js';
+
+// Stands in for a Worker running hint-worker.js, answering on a later turn
+class FakeWorker {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') this.listeners.push(listener);
+    }
+
+    postMessage(message) {
+        const reply = answer(JSON.parse(JSON.stringify(message)));
+        if (reply) setTimeout(() => this.listeners.forEach(listener => listener({ data: reply })));
+    }
+}
+
+test('each hint for the same state reveals a tier more', async () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const hints = new HintProvider(puzzleManager);
+    const graph = puzzleManager.getInitialState();
+
+    const tiers = [];
+    for (let i = 0; i < 4; i++) tiers.push(await hints.next(graph, 0));
+    assert.deepEqual(tiers.map(hint => [hint.tier, hint.revealed, hint.distance]),
+        [[1, true, 2], [2, true, 2], [3, true, 2], [3, false, 2]]);
+});
+
+test('a solved state has no hint', async () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    const hint = await new HintProvider(puzzleManager).next(play(puzzleManager, 'm(1,1)-(1,0)'), 1);
+
+    assert.equal(hint.fold, null);
+    assert.equal(hint.result.solvable, true);
+});
+
+test('a worker finds the same hint as the page would', async () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const graph = play(puzzleManager, 'm(2,1)-(0,1)');
+    const here = await new HintProvider(puzzleManager).next(graph, 1);
+    const worker = new HintProvider(puzzleManager, { worker: new FakeWorker() });
+    worker.reset();
+
+    assert.deepEqual(await worker.next(graph, 1), here);
+});
+
+test('a hint resolves to null once another state is asked about', async () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const hints = new HintProvider(puzzleManager, { worker: new FakeWorker() });
+    hints.reset();
+
+    const first = hints.next(puzzleManager.getInitialState(), 0);
+    const second = hints.next(play(puzzleManager, 'm(2,1)-(0,1)'), 1);
+    assert.equal(await first, null);
+    assert.equal((await second).distance, 1);
+});
+
+test('the solution from the unfolded sheet comes from the worker too', async () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const hints = new HintProvider(puzzleManager, { worker: new FakeWorker() });
+    hints.reset();
+    const result = await hints.solution();
+
+    assert.equal(result.solvable, true);
+    assert.equal(result.folds.length, 2);
+});
@@ -0,0 +1,92 @@
+/**
+ * test/history.test.js
+ * Undo, redo and branches of the fold history
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FoldHistory } from '../history.js';
+import { FoldScript } from '../script.js';
+import { loadPuzzle, play } from './helpers.js';
+
+const [FIRST, SECOND, OTHER] = FoldScript.parse('m(2,1)-(0,1);m(1,1)-(1,2);v(1,0)-(1,2)');
+
+function startHistory() {
+    const puzzleManager = loadPuzzle('sample-easy');
+    return { puzzleManager, history: new FoldHistory(puzzleManager.getInitialState()) };
+}
+
+test('undo and redo step through the folds', () => {
+    const { puzzleManager, history } = startHistory();
+    history.fold(FIRST.line, FIRST.type);
+    history.fold(SECOND.line, SECOND.type);
+    const solved = play(puzzleManager, 'm(2,1)-(0,1);m(1,1)-(1,2)');
+    assert.deepEqual(history.getState(), solved);
+
+    assert.deepEqual(history.undo(), SECOND);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1)'));
+    history.undo();
+    assert.equal(history.canUndo(), false);
+    assert.deepEqual(history.getState(), puzzleManager.getInitialState());
+
+    history.redo();
+    const { before, operation } = history.redo();
+    assert.deepEqual(operation, SECOND);
+    assert.deepEqual(before, play(puzzleManager, 'm(2,1)-(0,1)'));
+    assert.deepEqual(history.getState(), solved);
+    assert.equal(history.canRedo(), false);
+});
+
+test('folding after an undo starts a branch and keeps the old one', () => {
+    const { puzzleManager, history } = startHistory();
+    history.fold(FIRST.line, FIRST.type);
+    history.fold(SECOND.line, SECOND.type);
+    const second = history.getCurrentNode();
+    history.undo();
+    history.fold(OTHER.line, OTHER.type);
+    const other = history.getCurrentNode();
+
+    assert.equal(history.getFoldCount(), 2);
+    assert.deepEqual(history.getFoldOperations(), [FIRST, OTHER]);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1);v(1,0)-(1,2)'));
+    assert.deepEqual(history.getTimeline().map(({ node, branch, branches, done, current }) =>
+        ({ node, branch, branches, done, current })), [
+        { node: 1, branch: 1, branches: 1, done: true, current: false },
+        { node: other, branch: 2, branches: 2, done: true, current: true }
+    ]);
+
+    // Switching branches at the current fold moves to the same depth of the other one
+    assert.equal(history.switchBranch(other, 1), true);
+    assert.equal(history.getCurrentNode(), second);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1);m(1,1)-(1,2)'));
+
+    assert.equal(history.switchBranch(second, -1), true);
+    assert.equal(history.getCurrentNode(), other);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1);v(1,0)-(1,2)'));
+});
+
+test('switching a branch ahead of the current state only changes what redo does', () => {
+    const { puzzleManager, history } = startHistory();
+    history.fold(FIRST.line, FIRST.type);
+    history.fold(SECOND.line, SECOND.type);
+    history.undo();
+    history.fold(OTHER.line, OTHER.type);
+    const other = history.getCurrentNode();
+    history.undo();
+
+    assert.equal(history.switchBranch(other, 1), false);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1)'));
+    assert.deepEqual(history.redo().operation, SECOND);
+});
+
+test('jumping to a node rebuilds its state', () => {
+    const { puzzleManager, history } = startHistory();
+    history.fold(FIRST.line, FIRST.type);
+    history.fold(SECOND.line, SECOND.type);
+
+    assert.equal(history.jumpTo(1), true);
+    assert.deepEqual(history.getState(), play(puzzleManager, 'm(2,1)-(0,1)'));
+    assert.equal(history.canRedo(), true);
+    assert.equal(history.jumpTo(7), false);
+});
@@ -0,0 +1,70 @@
+/**
+ * test/leaderboard.test.js
+ * HttpLeaderboard against tools/leaderboard-server.js, and LocalLeaderboard
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HttpLeaderboard, LocalLeaderboard, LeaderboardError } from '../leaderboard.js';
+import { createServer } from '../tools/leaderboard-server.js';
+
+// Starts a server with an empty board in memory on a free port, and a client for it
+async function startBoard() {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const client = new HttpLeaderboard(`http://127.0.0.1:${server.address().port}/`);
+    return { server, client };
+}
+
+const entry = (player, score, time) => ({ board: 'sample-easy', player, score, folds: 2, time, undos: 0, hints: 0 });
+
+test('scores posted to the server come back best first', async () => {
+    const { server, client } = await startBoard();
+    try {
+        assert.equal((await client.submit(entry('Ann', 900, 20000))).rank, 1);
+        assert.equal((await client.submit(entry('Bo', 950, 30000))).rank, 1);
+        const { rank, entry: posted } = await client.submit(entry('Cy', 900, 15000));
+        assert.equal(rank, 2);
+        assert.equal(posted.player, 'Cy');
+
+        const top = await client.top('sample-easy');
+        assert.deepEqual(top.map(item => [item.player, item.score]), [['Bo', 950], ['Cy', 900], ['Ann', 900]]);
+        assert.deepEqual((await client.top('sample-easy', 1)).map(item => item.player), ['Bo']);
+        assert.deepEqual(await client.top('checkerboard'), []);
+    } finally {
+        server.close();
+    }
+});
+
+test('the server refuses a bad entry with its reason', async () => {
+    const { server, client } = await startBoard();
+    try {
+        // Sent as is, past the client's own check
+        await assert.rejects(client.request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...entry('Ann', 900, 20000), score: -1 })
+        }), error => error instanceof LeaderboardError && error.status === 400 &&
+            error.message === 'Entry score must be a number, at least 0');
+        await assert.rejects(client.top(''), error => error.status === 400 && error.message === 'board is required');
+    } finally {
+        server.close();
+    }
+});
+
+test('an unreachable server is a LeaderboardError', async () => {
+    const client = new HttpLeaderboard('http://127.0.0.1:9', { fetch: () => Promise.reject(new Error('refused')) });
+
+    await assert.rejects(client.top('sample-easy'), error => error instanceof LeaderboardError &&
+        error.message === 'Could not reach the leaderboard at http://127.0.0.1:9: refused');
+});
+
+test('a local board keeps its entries in the storage it is given', async () => {
+    const items = new Map();
+    const storage = { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+    await new LocalLeaderboard(storage).submit(entry('Ann', 900, 20000));
+
+    const top = await new LocalLeaderboard(storage).top('sample-easy');
+    assert.deepEqual(top.map(item => item.player), ['Ann']);
+});
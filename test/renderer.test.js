@@ -0,0 +1,75 @@
+/**
+ * test/renderer.test.js
+ * Labels SvgRenderer.describe gives the faces, and the styles of standalone SVGs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { SvgRenderer } from '../renderer.js';
+import { loadPuzzle, play } from './helpers.js';
+
+// aria-labels of the faces in a describe() tree, in drawing order
+function faceLabels(tree) {
+    if (tree.name === 'path' && tree.attributes.role === 'img') return [tree.attributes['aria-label']];
+    return tree.children.flatMap(faceLabels);
+}
+
+test('every face of a flat sheet is the only layer', () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const labels = faceLabels(SvgRenderer.describe(puzzleManager.getInitialState(), puzzleManager));
+
+    assert.equal(labels.length, 5);
+    labels.forEach(label => assert.match(label, /, layer 1 of 1 from above$/));
+});
+
+test('faces count their layers among the faces they overlap', () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    const graph = play(puzzleManager, 'm(1,1)-(1,0)');
+    const labels = faceLabels(SvgRenderer.describe(graph, puzzleManager, null, { side: 'bottom' }));
+
+    assert.deepEqual(labels, [
+        'Face 1: the picture, layer 2 of 2 underneath',
+        'Face 2: plain colour, turned over, layer 1 of 2 underneath'
+    ]);
+});
+
+test('animation frames leave the faces unlabelled', () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const tree = SvgRenderer.describe(puzzleManager.getInitialState(), puzzleManager, null, null, false);
+
+    assert.deepEqual(faceLabels(tree), []);
+});
+
+// The declarations of a rule in styles.css, with the custom properties of
+// :root filled in
+function stylesheetRule(selector) {
+    const css = fs.readFileSync(new URL('../styles.css', import.meta.url), 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+    const declarations = name => {
+        const block = css.match(new RegExp(`(?:^|\\})\\s*${name.replace(/\./g, '\\.')}\\s*\\{([^}]*)\\}`));
+        return Object.fromEntries(block[1].split(';').map(part => part.split(':').map(text => text.trim()))
+            .filter(([property]) => property));
+    };
+    const root = declarations(':root');
+    const resolve = value => value.replace(/var\((--[\w-]+)\)/g, (_, name) => resolve(root[name]));
+    return Object.fromEntries(Object.entries(declarations(selector)).map(([property, value]) => [property, resolve(value)]));
+}
+
+test('standalone SVGs use the colours of the default theme in styles.css', () => {
+    const inlined = classes => Object.fromEntries(SvgRenderer.serialize({ name: 'path', attributes: {}, classes, children: [] })
+        .match(/style="([^"]*)"/)[1].split('; ').map(declaration => declaration.split(': ')));
+
+    for (const selector of ['.image', '.color', '.crease', '.crease.V', '.crease.M', '.view-label']) {
+        const rule = stylesheetRule(selector);
+        const classes = selector.slice(1).split('.');
+        // Of the rules an element matches, the last one inlined wins, as in styles.css
+        const own = Object.entries(inlined(classes)).filter(([property]) => property in rule);
+        assert.ok(own.length > 0, `${selector} is not inlined`);
+        own.forEach(([property, value]) => assert.equal(value, rule[property], `${selector} ${property}`));
+    }
+
+    const brightness = stylesheetRule('.flipped').filter.match(/^brightness\(([\d.]+)\)$/)[1];
+    const svg = SvgRenderer.toSvgString(loadPuzzle('sample-easy').getInitialState());
+    assert.match(svg, new RegExp(`<feFuncR type="linear" slope="${brightness}"/>`));
+});
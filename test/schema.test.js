@@ -0,0 +1,92 @@
+/**
+ * test/schema.test.js
+ * Problems PuzzleSchema finds in malformed puzzle files, and the error loading them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PuzzleSchema, PuzzleLoadError } from '../schema.js';
+import { PuzzleManager } from '../puzzle.js';
+import { puzzleData } from './helpers.js';
+
+// The strip fixture, broken by `change`
+function malformed(change) {
+    const data = puzzleData('strip.json');
+    change(data);
+    return data;
+}
+
+test('the sample puzzles and fixtures have no problems', () => {
+    ['sample-easy', 'checkerboard', 'strip.json', 'generated-7.json'].forEach(name => {
+        assert.deepEqual(PuzzleSchema.validate(puzzleData(name)), [], name);
+    });
+});
+
+test('a puzzle that is not an object has one problem', () => {
+    assert.deepEqual(PuzzleSchema.validate([]), [{ path: '$', message: 'puzzle must be a JSON object' }]);
+});
+
+test('bad vertex indices are reported at their JSON path', () => {
+    const data = malformed(data => {
+        data.faces_vertices[1][1] = 6;
+        data.faces_vertices[0][2] = -1;
+    });
+
+    assert.deepEqual(PuzzleSchema.validate(data), [
+        { path: '$.faces_vertices[0][2]', message: 'must be a non-negative whole number' },
+        { path: '$.faces_vertices[1][1]', message: 'index 6 is out of range, vertices_coords has 6 entries' }
+    ]);
+});
+
+test('faces must be convex polygons wound one way', () => {
+    const data = malformed(data => {
+        data.vertices_coords.push([0.5, 0.5]);
+        data.faces_vertices = [[0, 1, 4, 6, 3], [1, 4, 5, 2], [0, 0, 1]];
+        data.faces_classes.push('color');
+    });
+
+    assert.deepEqual(PuzzleSchema.validate(data), [
+        { path: '$.faces_vertices[0]', message: 'must be convex, folding splits faces as convex polygons' },
+        { path: '$.faces_vertices[1]', message: 'is wound the other way from faces_vertices[0]' },
+        { path: '$.faces_vertices[2]', message: 'repeats a vertex' }
+    ]);
+});
+
+test('classes, array lengths, edges and the goal are checked', () => {
+    const data = malformed(data => {
+        data.faces_classes = ['image', 'red'];
+        data.vertices_flags = [0, 0];
+        data.edges_vertices = [[0, 1], [2, 2]];
+        data.edges_assignment = ['B', 'X'];
+        data.goal.orientation = 'sideways';
+        data.goal.sides = { top: 'back_image' };
+        data.goal.max_folds = 0;
+    });
+
+    assert.deepEqual(PuzzleSchema.validate(data), [
+        { path: '$.faces_classes[1]', message: 'unknown class "red", expected one of image, color' },
+        { path: '$.edges_vertices[1]', message: 'joins a vertex to itself' },
+        { path: '$.edges_assignment[1]', message: 'unknown assignment "X", expected one of B, M, V, F, U, C, J' },
+        { path: '$.vertices_flags', message: 'has 2 entries but vertices_coords has 6' },
+        { path: '$.goal.orientation', message: 'must be "upright" or "any"' },
+        { path: '$.goal.sides.top', message: '"back_image" needs a back_image_url' },
+        { path: '$.goal.max_folds', message: 'must be a positive whole number or null' }
+    ]);
+});
+
+test('loading a malformed puzzle throws a PuzzleLoadError listing its problems', () => {
+    const data = malformed(data => {
+        data.file_spec = 2;
+        data.faces_vertices[1][3] = 9;
+    });
+
+    assert.throws(() => new PuzzleManager().loadPuzzle(data), error => {
+        assert.ok(error instanceof PuzzleLoadError);
+        assert.equal(error.message, 'Invalid puzzle file (2 problems): ' +
+            '$.file_spec: unsupported FOLD version 2, expected one of 1, 1.1, 1.2; ' +
+            '$.faces_vertices[1][3]: index 9 is out of range, vertices_coords has 6 entries');
+        assert.deepEqual(error.problems.map(problem => problem.path), ['$.file_spec', '$.faces_vertices[1][3]']);
+        return true;
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * test/scoring.test.js
+ * The score of a solve and the time allowed for a timed challenge
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Scoring } from '../scoring.js';
+
+test('a shortest solve within par, without undos or hints, scores 1000', () => {
+    assert.deepEqual(Scoring.score({ folds: 2, optimum: 2, time: 60000 }), {
+        score: 1000,
+        breakdown: { folds: 0, time: 0, undos: 0, hints: 0, bonus: 0 }
+    });
+});
+
+test('extra folds, time over par, undos and hints cost points', () => {
+    // Par is 30 s per fold of the shortest solution: 60 s here, so 10 s over
+    const { score, breakdown } = Scoring.score({ folds: 3, optimum: 2, time: 70000, undos: 2, hints: 1 });
+
+    assert.deepEqual(breakdown, { folds: -100, time: -20, undos: -40, hints: -75, bonus: 0 });
+    assert.equal(score, 765);
+});
+
+test('the time penalty is capped and the score never drops below 0', () => {
+    assert.equal(Scoring.score({ folds: 1, optimum: 1, time: 3600000 }).breakdown.time, -400);
+    assert.equal(Scoring.score({ folds: 20, optimum: 1, time: 0 }).score, 0);
+});
+
+test('an unknown shortest solution counts the solve as shortest', () => {
+    assert.equal(Scoring.score({ folds: 4, optimum: null, time: 120000 }).score, 1000);
+    assert.equal(Scoring.score({ folds: 4, time: 120000 }).score, 1000);
+});
+
+test('a timed challenge earns a bonus for every second left', () => {
+    const limit = Scoring.challengeLimit(2);
+    assert.equal(limit, 120000);
+    assert.equal(Scoring.score({ folds: 2, optimum: 2, time: 50000, timeLimit: limit }).breakdown.bonus, 140);
+    assert.equal(Scoring.score({ folds: 2, optimum: 2, time: 130000, timeLimit: limit }).breakdown.bonus, 0);
+});
+
+test('a challenge gets the time of one fold when the shortest solution is unknown', () => {
+    assert.equal(Scoring.challengeLimit(null), 90000);
+    assert.equal(Scoring.challengeLimit(0), 90000);
+});
@@ -0,0 +1,61 @@
+/**
+ * test/script.test.js
+ * Reading and writing fold scripts and the URL hashes that share them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FoldScript, FoldScriptError } from '../script.js';
+import { puzzleData } from './helpers.js';
+
+const FOLDS = [
+    { line: { p1: [2, 1], p2: [0, 1] }, type: 'mountain' },
+    { line: { p1: [0.5, 0], p2: [0.5, 2], flap: [1.25, 1] }, type: 'valley' }
+];
+
+test('a script reads back into the folds it was written from', () => {
+    const script = FoldScript.stringify(FOLDS);
+
+    assert.equal(script, 'm(2,1)-(0,1);v(0.5,0)-(0.5,2)@(1.25,1)');
+    assert.deepEqual(FoldScript.parse(script), FOLDS);
+    assert.deepEqual(FoldScript.parse(' M(2, 1)-(0,1) ;\nv(.5,0)-(0.5,2)@(1.25,1)'), FOLDS);
+    assert.deepEqual(FoldScript.parse(''), []);
+});
+
+test('coordinates are written to four decimal places', () => {
+    assert.equal(FoldScript.stringify([{ line: { p1: [1 / 3, 0], p2: [-2 / 3, 2] }, type: 'valley' }]),
+        'v(0.3333,0)-(-0.6667,2)');
+});
+
+test('a bad segment is reported with its position in the script', () => {
+    const rejects = (script, message, index) => assert.throws(() => FoldScript.parse(script),
+        error => error instanceof FoldScriptError && error.message === message && error.index === index);
+
+    rejects('m(2,1)-(0,1);x(0,0)-(1,1)', 'Fold 2: cannot read "x(0,0)-(1,1)", expected a fold like v(0,0)-(2,2)', 1);
+    rejects('v(0,0)-(1)', 'Fold 1: cannot read "v(0,0)-(1)", expected a fold like v(0,0)-(2,2)', 0);
+    rejects('v(0,0)-(2,2);', 'Fold 2: cannot read "", expected a fold like v(0,0)-(2,2)', 1);
+    rejects('m(1,1)-(1,1)', 'Fold 1: "m(1,1)-(1,1)" has the same point twice', 0);
+});
+
+test('a hash names the puzzle and the folds to replay on it', () => {
+    const hash = FoldScript.toHash('sample-easy', FOLDS);
+
+    assert.equal(hash, '#sample-easy:m(2,1)-(0,1);v(0.5,0)-(0.5,2)@(1.25,1)');
+    assert.deepEqual(FoldScript.fromHash(hash), { puzzleId: 'sample-easy', folds: FOLDS });
+    assert.deepEqual(FoldScript.fromHash(FoldScript.toHash('sample-easy', [])), { puzzleId: 'sample-easy', folds: [] });
+    assert.equal(FoldScript.fromHash(''), null);
+    assert.equal(FoldScript.fromHash('#'), null);
+});
+
+test('a hash with a bad script throws FoldScriptError', () => {
+    assert.throws(() => FoldScript.fromHash('#sample-easy:m(2,1)-(0,1);v(0,0)'),
+        { name: 'FoldScriptError', message: 'Fold 2: cannot read "v(0,0)", expected a fold like v(0,0)-(2,2)' });
+});
+
+test('play folds a puzzle headlessly and checks the result', () => {
+    const { folds, result } = FoldScript.play(puzzleData('sample-easy'), 'm(2,1)-(0,1);m(1,1)-(1,2)');
+
+    assert.equal(folds.length, 2);
+    assert.equal(result.solved, true);
+});
@@ -0,0 +1,68 @@
+/**
+ * test/validation.test.js
+ * Checking folded states against the goals of the sample puzzles and fixtures
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPuzzle, puzzleData, play } from './helpers.js';
+
+test('validateState solves each puzzle with its known solution', () => {
+    [
+        ['sample-easy', 'm(2,1)-(0,1);m(1,1)-(1,2)'],
+        ['checkerboard', 'v(1,0)-(1,4);v(3,4)-(3,0);v(1,2)-(3,2)'],
+        ['strip.json', 'm(1,1)-(1,0)'],
+        ['generated-7.json', puzzleData('generated-7.json').generator.solution]
+    ].forEach(([name, script]) => {
+        const puzzleManager = loadPuzzle(name);
+        const result = puzzleManager.validateState(play(puzzleManager, script), script.split(';').length);
+        assert.equal(result.solved, true, name);
+        assert.deepEqual(result.regions, [], name);
+    });
+});
+
+test('validateState reports the shape of an unfolded sheet', () => {
+    const puzzleManager = loadPuzzle('sample-easy');
+    const result = puzzleManager.validateState(puzzleManager.getInitialState(), 0);
+
+    assert.equal(result.solved, false);
+    assert.deepEqual(result.shape, { width: 2, height: 2, expected: { width: 1, height: 1 }, ok: false });
+});
+
+test('validateState marks the region showing the wrong side', () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    // A valley fold lays the plain cell over the picture
+    const result = puzzleManager.validateState(play(puzzleManager, 'v(1,1)-(1,0)'), 1);
+
+    // and turns the picture over, so both sides fail all over
+    const area = (side, reason) => result.regions
+        .filter(region => region.side === side && region.reason === reason)
+        .reduce((sum, region) => sum + region.width * region.height, 0);
+
+    assert.equal(result.solved, false);
+    assert.equal(result.shape.ok, true);
+    assert.ok(Math.abs(area('top', 'not-image') - 1) < 1e-9);
+    assert.ok(Math.abs(area('bottom', 'not-color') - 1) < 1e-9);
+    assert.equal(area('top', 'not-image') + area('bottom', 'not-color'),
+        result.regions.reduce((sum, region) => sum + region.width * region.height, 0));
+});
+
+test('validateState holds a solve to the goal\'s max_folds', () => {
+    const puzzleManager = loadPuzzle('strip.json');
+    const graph = play(puzzleManager, 'm(1,1)-(1,0)');
+
+    assert.deepEqual(puzzleManager.validateState(graph, 1).folds, { count: 1, max: 1, ok: true });
+    const late = puzzleManager.validateState(graph, 2);
+    assert.equal(late.solved, false);
+    assert.equal(late.folds.ok, false);
+    assert.equal(puzzleManager.validateState(graph).folds, null);
+});
+
+test('validateState accepts other solutions than the known one', () => {
+    // The solver's solution of the checkerboard, which makes its last fold the other way
+    const puzzleManager = loadPuzzle('checkerboard');
+    const result = puzzleManager.validateState(play(puzzleManager, 'v(1,0)-(1,4);v(3,0)-(3,4);m(5,2)-(3,2)'), 3);
+
+    assert.equal(result.solved, true);
+});
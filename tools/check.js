@@ -0,0 +1,81 @@
+/**
+ * tools/check.js
+ * Checks puzzle files against the puzzle schema and prints every problem
+ *
+ * Usage: node tools/check.js [puzzle.json ...]
+ * Without arguments every puzzle in puzzles/ is checked, along with the
+ * entries of puzzles/index.json. Exits with 1 if any problem is found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PuzzleSchema } from '../schema.js';
+
+const puzzlesDir = fileURLToPath(new URL('../puzzles', import.meta.url));
+const checkAll = process.argv.length <= 2;
+const files = checkAll
+    ? fs.readdirSync(puzzlesDir)
+        .filter(file => file.endsWith('.json') && file !== 'index.json')
+        .map(file => path.join(puzzlesDir, file))
+    : process.argv.slice(2);
+
+// Reads a JSON file, turning read and syntax errors into a problem at the root
+function readJson(file) {
+    try {
+        return { data: JSON.parse(fs.readFileSync(file, 'utf8')), problems: [] };
+    } catch (error) {
+        return { data: null, problems: [{ path: '$', message: error.message }] };
+    }
+}
+
+// Every manifest entry needs a unique id and a puzzle file that exists, and
+// min_folds, when given, must be a whole number of folds
+function checkManifest(file) {
+    const { data, problems } = readJson(file);
+    if (!data) return problems;
+    if (!Array.isArray(data.puzzles)) {
+        return [{ path: '$.puzzles', message: 'must be an array of puzzle entries' }];
+    }
+
+    const ids = new Set();
+    data.puzzles.forEach((entry, i) => {
+        const at = `$.puzzles[${i}]`;
+        if (typeof entry.id !== 'string' || entry.id === '') {
+            problems.push({ path: `${at}.id`, message: 'must be a non-empty string' });
+        } else if (ids.has(entry.id)) {
+            problems.push({ path: `${at}.id`, message: `duplicate id "${entry.id}"` });
+        }
+        ids.add(entry.id);
+        if (typeof entry.file !== 'string' || !fs.existsSync(path.join(path.dirname(file), entry.file))) {
+            problems.push({ path: `${at}.file`, message: `puzzle file ${JSON.stringify(entry.file)} not found` });
+        }
+        if (entry.min_folds !== undefined && !(Number.isInteger(entry.min_folds) && entry.min_folds >= 0)) {
+            problems.push({ path: `${at}.min_folds`, message: 'must be a whole number of folds' });
+        }
+    });
+    return problems;
+}
+
+const results = files.map(file => {
+    const { data, problems } = readJson(file);
+    return { file, problems: data ? PuzzleSchema.validate(data) : problems };
+});
+if (checkAll) {
+    const manifest = path.join(puzzlesDir, 'index.json');
+    results.push({ file: manifest, problems: checkManifest(manifest) });
+}
+
+let failed = false;
+results.forEach(({ file, problems }) => {
+    if (problems.length === 0) {
+        console.log(`${path.basename(file)}: ok`);
+        return;
+    }
+    failed = true;
+    console.log(`${path.basename(file)}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    problems.forEach(problem => console.log(`  ${problem.path}: ${problem.message}`));
+});
+
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,58 @@
+/**
+ * tools/generate.js
+ * Generates random puzzles from seeds and writes them as puzzle files
+ *
+ * Usage: node tools/generate.js [seed ...] [--size n] [--target n] [--out dir]
+ * Writes generated-<seed>.json for every seed (a random one when none is
+ * given) and prints its difficulty and the fold script of a solution. --size
+ * sets the cells per side of the sheet and --target those of the folded
+ * square. Files go to the current directory unless --out names another.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PuzzleGenerator } from '../generator.js';
+
+function run(args) {
+    const options = { seeds: [], out: '.' };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--size') options.size = Number(args[++i]);
+        else if (args[i] === '--target') options.target = Number(args[++i]);
+        else if (args[i] === '--out') options.out = args[++i];
+        else options.seeds.push(/^\d+$/.test(args[i]) ? Number(args[i]) : args[i]);
+    }
+    if ([options.size, options.target].some(value => value !== undefined && !(Number.isInteger(value) && value > 0))) {
+        console.log('Usage: node tools/generate.js [seed ...] [--size n] [--target n] [--out dir]');
+        return false;
+    }
+    if (options.seeds.length === 0) options.seeds.push(Math.floor(Math.random() * 1e9));
+
+    const generator = new PuzzleGenerator({ size: options.size, target: options.target });
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let ok = true;
+    options.seeds.forEach(seed => {
+        let puzzle;
+        try {
+            puzzle = generator.generate(seed);
+        } catch (error) {
+            console.log(`seed ${seed}: ${error.message}`);
+            ok = false;
+            return;
+        }
+        const target = path.join(options.out, `generated-${seed}.json`);
+        fs.writeFileSync(target, `${JSON.stringify(puzzle, null, 4)}\n`);
+
+        const { score, min_folds: shortest, max_folds: folds, solution } = puzzle.generator;
+        const solvable = shortest !== null ? `solvable in ${shortest} folds` : `solvable in at most ${folds} folds`;
+        console.log(`${target}: ${puzzle.difficulty} (score ${score}), ${solvable}`);
+        console.log(`  script: ${solution}`);
+    });
+    return ok;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    process.exitCode = run(process.argv.slice(2)) ? 0 : 1;
+}
@@ -0,0 +1,128 @@
+/**
+ * tools/leaderboard-server.js
+ * A small leaderboard server for HttpLeaderboard, to run a shared board or test against
+ *
+ * Usage: node tools/leaderboard-server.js [--port n] [--file scores.json]
+ * Answers POST /scores and GET /scores?board=<board>&limit=<n> as
+ * HttpLeaderboard in leaderboard.js expects, on port 8787 unless --port names
+ * another. Scores are kept in memory, or in the --file JSON file so they
+ * survive restarts. Any page may use the board, as CORS is open. Open the
+ * game as index.html?leaderboard=http://localhost:8787 to submit to it.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+import { LocalLeaderboard, LeaderboardError } from '../leaderboard.js';
+
+const DEFAULT_PORT = 8787;
+// Most entries one GET returns, and the largest request body accepted in bytes
+const MAX_LIMIT = 100;
+const MAX_BODY = 10000;
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// localStorage-like storage of the single leaderboard item, written through
+// to a file when one is given
+function createStorage(file) {
+    let value = file && fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    return {
+        getItem: () => value,
+        setItem: (key, next) => {
+            value = next;
+            if (file) fs.writeFileSync(file, next);
+        }
+    };
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new LeaderboardError('Request body is too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+// An HTTP server for a leaderboard (a LocalLeaderboard in memory by default)
+function createServer(leaderboard = new LocalLeaderboard(createStorage(null))) {
+    return http.createServer(async (request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+            response.end(JSON.stringify(body));
+        };
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+        if (url.pathname !== '/scores') {
+            send(404, { error: `No such path ${url.pathname}` });
+            return;
+        }
+        try {
+            if (request.method === 'GET') {
+                const board = url.searchParams.get('board');
+                if (!board) throw new LeaderboardError('board is required');
+                const limit = Math.min(MAX_LIMIT, Math.max(1, Number(url.searchParams.get('limit')) || 10));
+                send(200, { entries: await leaderboard.top(board, limit) });
+            } else if (request.method === 'POST') {
+                let data;
+                try {
+                    data = JSON.parse(await readBody(request));
+                } catch (error) {
+                    throw error instanceof LeaderboardError ? error : new LeaderboardError('Body must be a JSON entry');
+                }
+                send(201, await leaderboard.submit(data));
+            } else {
+                send(405, { error: `${request.method} is not supported` });
+            }
+        } catch (error) {
+            if (error instanceof LeaderboardError) {
+                send(400, { error: error.message });
+            } else {
+                console.error(error);
+                send(500, { error: 'Internal error' });
+            }
+        }
+    });
+}
+
+function run(args) {
+    const options = { port: DEFAULT_PORT, file: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--file') options.file = args[++i];
+        else options.port = NaN;
+    }
+    if (!(Number.isInteger(options.port) && options.port >= 0) || options.file === undefined) {
+        console.log('Usage: node tools/leaderboard-server.js [--port n] [--file scores.json]');
+        return false;
+    }
+
+    const server = createServer(new LocalLeaderboard(createStorage(options.file)));
+    server.listen(options.port, () => {
+        const where = options.file ? `, keeping scores in ${options.file}` : ', keeping scores in memory';
+        console.log(`Leaderboard at http://localhost:${server.address().port}${where}`);
+    });
+    return true;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    if (!run(process.argv.slice(2))) process.exitCode = 1;
+}
+
+export { createServer, createStorage };
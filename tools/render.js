@@ -0,0 +1,98 @@
+/**
+ * tools/render.js
+ * Renders puzzle states to standalone SVG files, without a browser
+ *
+ * Usage: node tools/render.js <puzzle.json> [script] [--out dir] [--scale px]
+ *        node tools/render.js <puzzle.json> [script] --print a4|letter [--out dir]
+ * Writes <puzzle>-0.svg for the unfolded sheet and <puzzle>-<n>.svg for the
+ * state after each fold of the fold script (e.g. "v(0,0)-(2,2);m(1,0)-(1,2)"),
+ * plus <puzzle>-crease-pattern.svg with the creases of the last state when
+ * there are folds. With --print it writes <puzzle>-print.html instead, the
+ * sheet to print and fold at true scale, with the creases of the script's
+ * folds. The puzzle's pictures are embedded in every file. Files go to the
+ * current directory unless --out names another.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PuzzleManager } from '../puzzle.js';
+import { SvgRenderer } from '../renderer.js';
+import { PrintSheet } from '../print.js';
+import { FoldScript } from '../script.js';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+// A picture of the puzzle as a data: URL. Image URLs are relative to the page,
+// which is served from the repository root.
+function embedImage(imageUrl) {
+    if (!imageUrl || /^(data|https?):/.test(imageUrl)) return null;
+    const file = path.join(rootDir, imageUrl);
+    const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+    if (!type || !fs.existsSync(file)) {
+        console.log(`warning: cannot embed ${imageUrl}, the SVG links to it instead`);
+        return null;
+    }
+    return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+function run(args) {
+    const options = { out: '.', scale: undefined, print: null };
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') options.out = args[++i];
+        else if (args[i] === '--scale') options.scale = Number(args[++i]);
+        else if (args[i] === '--print') options.print = args[++i];
+        else positional.push(args[i]);
+    }
+    if (positional.length < 1 || positional.length > 2 || !options.out || options.scale <= 0) {
+        console.log('Usage: node tools/render.js <puzzle.json> [script] [--out dir] [--scale px]');
+        console.log('       node tools/render.js <puzzle.json> [script] --print a4|letter [--out dir]');
+        return false;
+    }
+
+    const [file, script = ''] = positional;
+    const puzzleManager = new PuzzleManager();
+    puzzleManager.loadPuzzle(JSON.parse(fs.readFileSync(file, 'utf8')));
+    const folds = FoldScript.parse(script);
+    const svgOptions = {
+        imageHref: embedImage(puzzleManager.puzzleData.image_url),
+        backImageHref: embedImage(puzzleManager.getBackImageUrl()),
+        scale: options.scale
+    };
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const name = path.basename(file, path.extname(file));
+    const write = (suffix, graph) => {
+        const target = path.join(options.out, `${name}-${suffix}.svg`);
+        fs.writeFileSync(target, SvgRenderer.toSvgString(graph, puzzleManager, svgOptions));
+        console.log(`wrote ${target}`);
+    };
+
+    if (options.print) {
+        const target = path.join(options.out, `${name}-print.html`);
+        fs.writeFileSync(target, PrintSheet.toHtml(puzzleManager,
+            { paper: options.print.toLowerCase(), folds, imageHref: svgOptions.imageHref, backImageHref: svgOptions.backImageHref }));
+        console.log(`wrote ${target}`);
+        return true;
+    }
+
+    const graph = JSON.parse(JSON.stringify(puzzleManager.getInitialState()));
+    write(0, graph);
+    folds.forEach((fold, i) => {
+        PuzzleManager.foldGraph(graph, fold.line, fold.type);
+        write(i + 1, graph);
+    });
+    if (folds.length > 0) write('crease-pattern', SvgRenderer.creasePattern(graph));
+    return true;
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2)) ? 0 : 1;
+} catch (error) {
+    console.log(`render failed: ${error.message}`);
+    process.exitCode = 1;
+}
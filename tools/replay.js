@@ -0,0 +1,69 @@
+/**
+ * tools/replay.js
+ * Replays a fold script on a puzzle headlessly and checks the result
+ *
+ * Usage: node tools/replay.js <puzzle.json | puzzle id> <script>
+ *        node tools/replay.js <share link or #hash>
+ * The script is the one in shared links, e.g. "v(0,0)-(2,2);m(1,0)-(1,2)".
+ * Puzzle ids are looked up in puzzles/index.json. Exits with 1 if the
+ * script cannot be read or played, or does not solve the puzzle.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { FoldScript } from '../script.js';
+
+const puzzlesDir = fileURLToPath(new URL('../puzzles', import.meta.url));
+
+// A puzzle file path, or the file of a catalog id
+function puzzleFile(name) {
+    if (fs.existsSync(name)) return name;
+    const manifest = JSON.parse(fs.readFileSync(path.join(puzzlesDir, 'index.json'), 'utf8'));
+    const entry = manifest.puzzles.find(item => item.id === name);
+    if (!entry) throw new Error(`no puzzle file or catalog id "${name}"`);
+    return path.join(puzzlesDir, entry.file);
+}
+
+function run(args) {
+    let puzzle;
+    let folds;
+    if (args.length === 1) {
+        const link = FoldScript.fromHash(args[0].slice(args[0].indexOf('#')));
+        if (!link) throw new Error('the link has no #puzzle:folds part');
+        puzzle = link.puzzleId;
+        folds = link.folds;
+    } else if (args.length === 2) {
+        puzzle = args[0];
+        folds = FoldScript.parse(args[1]);
+    } else {
+        console.log('Usage: node tools/replay.js <puzzle.json | puzzle id> <script>');
+        console.log('       node tools/replay.js <share link or #hash>');
+        return false;
+    }
+
+    const file = puzzleFile(puzzle);
+    const { result } = FoldScript.play(JSON.parse(fs.readFileSync(file, 'utf8')), folds);
+    console.log(`${path.basename(file)}: ${FoldScript.stringify(folds) || '(no folds)'}`);
+
+    if (result.solved) {
+        console.log(`  solved in ${folds.length} folds`);
+        return true;
+    }
+    const reasons = new Set(result.regions.map(region => region.reason));
+    if (!result.shape.ok) {
+        reasons.add(`folded size ${+result.shape.width.toFixed(3)}x${+result.shape.height.toFixed(3)}, ` +
+            `goal ${result.shape.expected.width}x${result.shape.expected.height}`);
+    }
+    if (result.folds && !result.folds.ok) reasons.add(`${result.folds.count} folds, limit ${result.folds.max}`);
+    console.log(`  not solved: ${[...reasons].join(', ')}`);
+    return false;
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2)) ? 0 : 1;
+} catch (error) {
+    console.log(`replay failed: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,71 @@
+/**
+ * tools/solve.js
+ * Solves puzzle files headlessly and prints the shortest fold sequence
+ *
+ * Usage: node tools/solve.js [puzzle.json ...] [--write]
+ * Without arguments every puzzle in puzzles/ is checked. Exits with 1 if any
+ * puzzle could not be solved. --write records the length of each shortest
+ * solution as min_folds in the puzzle's puzzles/index.json entry, where the
+ * page reads it for scoring instead of solving the puzzle itself.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { PuzzleManager } from '../puzzle.js';
+import { PuzzleSolver } from '../solver.js';
+import { FoldScript } from '../script.js';
+
+const puzzlesDir = fileURLToPath(new URL('../puzzles', import.meta.url));
+const manifestFile = path.join(puzzlesDir, 'index.json');
+const args = process.argv.slice(2);
+const write = args.includes('--write');
+const named = args.filter(arg => arg !== '--write');
+const files = named.length > 0
+    ? named
+    : fs.readdirSync(puzzlesDir)
+        .filter(file => file.endsWith('.json') && file !== 'index.json')
+        .map(file => path.join(puzzlesDir, file));
+
+const formatPoint = p => `(${p.map(v => +v.toFixed(3)).join(',')})`;
+const formatFold = fold => `${fold.type} ${formatPoint(fold.line.p1)}-${formatPoint(fold.line.p2)}` +
+    (fold.line.flap ? ` flap ${formatPoint(fold.line.flap)}` : '');
+
+let failed = false;
+const shortest = new Map(); // resolved puzzle file -> folds of its shortest solution, or null
+files.forEach(file => {
+    const puzzleManager = new PuzzleManager();
+    puzzleManager.loadPuzzle(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+    const started = Date.now();
+    const result = new PuzzleSolver(puzzleManager).solve();
+    const took = `${result.explored} states, ${Date.now() - started} ms`;
+    shortest.set(path.resolve(file), result.solvable ? result.folds.length : null);
+
+    if (result.solvable) {
+        console.log(`${path.basename(file)}: solvable in ${result.folds.length} folds (${took})`);
+        result.folds.forEach((fold, i) => console.log(`  ${i + 1}. ${formatFold(fold)}`));
+        console.log(`  script: ${FoldScript.stringify(result.folds)}`);
+    } else {
+        failed = true;
+        const why = result.reason === 'limit' ? 'search limit reached' : 'no solution within the fold limit';
+        console.log(`${path.basename(file)}: unsolvable, ${why} (${took})`);
+    }
+});
+
+// Entries of puzzles that were not solved lose their min_folds; those of
+// puzzles not named on the command line keep theirs
+if (write) {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    manifest.puzzles.forEach(entry => {
+        const file = path.resolve(puzzlesDir, entry.file);
+        if (!shortest.has(file)) return;
+        if (shortest.get(file) === null) delete entry.min_folds;
+        else entry.min_folds = shortest.get(file);
+    });
+    fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`${path.basename(manifestFile)}: min_folds written`);
+}
+
+process.exitCode = failed ? 1 : 0;